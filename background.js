@@ -2,31 +2,283 @@
 const STORAGE_KEY = 'windowFolderMappings';
 const PINNED_TABS_KEY = 'pinnedTabsByFolder';
 const FOLDER_LAST_USED_KEY = 'folderLastUsed';
+const TAB_BINDINGS_KEY = 'tabBookmarkBindings';
+const DETACHED_MAPPINGS_KEY = 'detachedFolderMappings';
+const PENDING_REATTACH_KEY = 'pendingReattachments';
+const GROUP_BINDINGS_KEY = 'tabGroupFolderBindings';
+const TRASH_KEY = 'syncTrash';
+const SNAPSHOTS_KEY = 'folderSnapshots';
+const SNAPSHOT_SETTINGS_KEY = 'snapshotSettings';
+const SNAPSHOT_ALARM_NAME = 'folderSnapshots';
+const METADATA_MIGRATED_KEY = 'pinnedMetadataMigrated';
+const LAST_ACTIVE_KEY = 'lastActiveBookmarks';
+const URL_RULES_KEY = 'urlRules';
+const FOLDER_SYNC_MODES_KEY = 'folderSyncModes';
+const TEMPLATES_KEY = 'templateFolders';
+const FOLDER_CONTAINERS_KEY = 'folderContainers';
+const SETTINGS_KEY = 'settings';
+const PENDING_SYNCS_KEY = 'pendingSyncs';
+const AUTO_GROUP_FOLDERS_KEY = 'autoGroupFolders';
+
+// Session storage key (cleared when Firefox quits) for the current browser session's ID
+const SESSION_ID_KEY = 'sessionId';
+
+// Per-tab metadata is stored at the end of the bookmark title, e.g. "Inbox {tg:pinned}",
+// so it travels with the bookmark through Firefox Sync. Fields are comma-separated
+// flags or key=value pairs with URI-encoded values.
+const METADATA_PATTERN = /\s*\{tg:([^{}]*)\}$/;
+
+// Subfolder title used for tab groups that have no name
+const UNTITLED_GROUP_TITLE = 'Untitled group';
+
+// Restored windows scoring at or above this are re-synced automatically
+const REATTACH_AUTO_THRESHOLD = 0.8;
+// Restored windows scoring at or above this are offered for confirmation
+const REATTACH_SUGGEST_THRESHOLD = 0.5;
+// Competing candidates within this margin of the best score make a match ambiguous
+const REATTACH_AMBIGUITY_MARGIN = 0.1;
+// Maximum number of detached mappings kept for reconciliation
+const MAX_DETACHED_MAPPINGS = 50;
+
+// Trash retention: entries beyond this count or older than this age are dropped
+const MAX_TRASH_ENTRIES = 200;
+const TRASH_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Snapshot history kept per folder
+const MAX_SNAPSHOTS_PER_FOLDER = 20;
+// Snapshots the user asked for, directly or by restoring one, are taken even
+// while automatic snapshots are off
+const ALWAYS_RECORDED_SNAPSHOT_REASONS = ['manual', 'before-restore'];
+// A sync removing at least this many items snapshots the folder first
+const LARGE_CHANGE_THRESHOLD = 5;
+// Defaults for the optional snapshot subsystem
+const DEFAULT_SNAPSHOT_SETTINGS = { enabled: false, intervalMinutes: 60 };
+
+// Defaults for general settings. containerMismatch is what happens to a synced
+// tab outside its group's container: 'flag' it or 'reopen' it in the container.
+// folderDeleted is what happens when a synced folder is deleted: 'disassociate'
+// its window or 'recreate' the folder from the window's tabs.
+// groupRootFolderId is the folder new groups are created in (null for the
+// browser's default). autoGroupNewWindows gives every new window its own group,
+// titled from autoGroupTitleTemplate (see AUTO_GROUP_TITLE_FIELDS).
+const DEFAULT_SETTINGS = {
+  containerMismatch: 'flag',
+  folderDeleted: 'disassociate',
+  groupRootFolderId: null,
+  autoGroupNewWindows: false,
+  autoGroupTitleTemplate: '{domain} {date}'
+};
+
+// Title given to an automatic group whose template comes out empty
+const AUTO_GROUP_FALLBACK_TITLE = 'New group';
+
+// Windows appearing this soon after the browser starts are being restored, not
+// opened, and aren't given automatic groups
+const STARTUP_WINDOW_GRACE_MS = 15000;
+
+// Number of tabs created at once when restoring a group
+const RESTORE_BATCH_SIZE = 10;
+
+// URLs that can never be synced, whatever the rules say: tabs can't open them
+const UNSUPPORTED_URL_PREFIXES = ['about:', 'moz-extension:', 'javascript:'];
+
+// Kinds of URL rule patterns and what a matching rule does
+const URL_RULE_TYPES = ['prefix', 'domain', 'regex'];
+const URL_RULE_ACTIONS = ['exclude', 'include'];
+
+// ID of the tab context menu listing groups; group items are "<id>:<folderId>"
+const MOVE_TO_GROUP_MENU_ID = 'move-to-group';
+
+// Maximum number of omnibox suggestions
+const MAX_OMNIBOX_SUGGESTIONS = 6;
+
+// Added to a folder search score when the query matches the folder's own title,
+// not just its path
+const TITLE_MATCH_BONUS = 10;
+
+// Firefox built-in root folder IDs, which are never groups
+const ROOT_FOLDER_IDS = new Set([
+  'root________',  // Root
+  'menu________',  // Bookmarks Menu
+  'toolbar_____',  // Bookmarks Toolbar
+  'unfiled_____',  // Other Bookmarks
+  'mobile______'   // Mobile Bookmarks
+]);
 
 // In-memory cache of window -> folder mappings
-// Format: { windowId: { folderId: string, folderTitle: string } }
+// Format: { windowId: { folderId: string, folderTitle: string, syncMode: string } }
 let windowMappings = {};
 
-// In-memory cache of pinned tabs per folder
+// Device-local cache of pinned tabs per folder, used only for folders whose
+// bookmarks carry no metadata (e.g. written by older versions or other tools)
 // Format: { folderId: Set<url> }
 let pinnedTabsByFolder = {};
 
+// Index of each synced folder's window; a folder is open in at most one window
+// Format: { folderId: windowId }
+let folderWindows = {};
+
+// Sync mode chosen for each folder, kept so it survives re-association
+// Format: { folderId: SYNC_MODE_* }
+let folderSyncModes = {};
+
+// Folders marked as templates, opened as copies instead of being synced
+// Format: { folderId: markedAt }
+let templateFolders = {};
+
+// Firefox container (cookie store) each folder's tabs open in
+// Format: { folderId: cookieStoreId }
+let folderContainers = {};
+
+// General settings
+// Format: see DEFAULT_SETTINGS
+let settings = { ...DEFAULT_SETTINGS };
+
+// Folders created for new windows by automatic grouping, removed again if their
+// window closes while they're still empty
+// Format: { folderId: createdAt }
+let autoGroupFolders = {};
+
+// Windows the extension opened without syncing them, which automatic grouping leaves alone
+// Format: Set<windowId>
+const unsyncedOpenedWindowIds = new Set();
+
+// Until when new windows are taken to be restored with the browser
+// Format: timestamp
+let startupWindowsUntil = 0;
+
 // Track last used timestamp for each folder
 // Format: { folderId: timestamp }
 let folderLastUsed = {};
 
-// Track if we're currently syncing to prevent infinite loops
-let isSyncing = false;
+// Persistent identity binding between tabs and bookmarks
+// Format: { tabId: bookmarkId }
+let tabBookmarkBindings = {};
+
+// Binding between native tab groups and the subfolders that represent them
+// Format: { groupId: folderId }
+let groupFolderBindings = {};
+
+// Mappings whose window went away, kept so a restored window can be re-synced
+// Format: { folderId: { folderTitle: string, fingerprint: string[], detachedAt: timestamp } }
+let detachedMappings = {};
+
+// Restored windows that may belong to a folder but need user confirmation
+// Format: [{ windowId, folderId, folderTitle, score }]
+let pendingReattachments = [];
+
+// Journal of tabs and bookmarks removed by sync, newest first
+// Format: [{ id, batchId, kind: 'tab'|'bookmark', url, title, index, pinned,
+//            folderId, folderTitle, groupFolderId, windowId, removedAt }]
+let syncTrash = [];
+
+// Point-in-time versions of each folder's contents, newest first
+// Format: { folderId: [{ id, takenAt, reason, folderTitle, items: [{ url, title, group }], pinned: [url] }] }
+let folderSnapshots = {};
+
+// Bookmark of the tab that was last active in each folder's window
+// Format: { folderId: bookmarkId }
+let lastActiveBookmarks = {};
+
+// Which URLs are synced, globally and per group folder. Rules are checked in
+// order, group rules before global ones; the first match decides.
+// Format: { global: [rule], groups: { folderId: [rule] } },
+//   rule = { type: 'prefix'|'domain'|'regex', pattern: string, action: 'exclude'|'include' }
+let urlRules = { global: [], groups: {} };
+
+// Compiled regex rule patterns
+// Format: Map<pattern, RegExp>
+const compiledUrlPatterns = new Map();
 
-// Track windows that need to be synced after current sync completes
-let pendingSyncs = new Set();
+// Progress of group restores still creating tabs
+// Format: { windowId: { folderId, created: number, total: number } }
+let restoreProgress = {};
+
+// Snapshot subsystem settings
+// Format: { enabled: boolean, intervalMinutes: number }
+let snapshotSettings = { ...DEFAULT_SNAPSHOT_SETTINGS };
+
+// Sync directions a window can have pending
+const SYNC_TABS_TO_BOOKMARKS = 'tabsToBookmarks';
+const SYNC_BOOKMARKS_TO_TABS = 'bookmarksToTabs';
+
+// Per-folder sync modes: both directions, tabs -> bookmarks only (the folder is a
+// backup of the window), or bookmarks -> tabs only (the window follows the folder)
+const SYNC_MODE_TWO_WAY = 'twoWay';
+const SYNC_MODE_BACKUP_ONLY = 'backupOnly';
+const SYNC_MODE_READ_ONLY = 'readOnly';
+const SYNC_MODES = [SYNC_MODE_TWO_WAY, SYNC_MODE_BACKUP_ONLY, SYNC_MODE_READ_ONLY];
+
+// Sides a verify-and-repair change can be applied to, and the sync direction that writes each
+const REPAIR_TO_FOLDER = 'folder';
+const REPAIR_TO_WINDOW = 'window';
+const REPAIR_SYNC_DIRECTIONS = {
+  [REPAIR_TO_FOLDER]: SYNC_TABS_TO_BOOKMARKS,
+  [REPAIR_TO_WINDOW]: SYNC_BOOKMARKS_TO_TABS
+};
+
+// Kinds of difference between a window and its folder, in the order repairs apply them
+// (additions and removals first, since reordering depends on what's there)
+const DIFF_CHANGE_KINDS = ['tabMissing', 'bookmarkMissing', 'url', 'title', 'pinned', 'group', 'order'];
+
+// How long to wait for a burst of events to settle before diffing
+const SYNC_DEBOUNCE_MS = 250;
+
+// How long events about a tab/bookmark/group we just changed are treated as echoes
+const ECHO_WINDOW_MS = 1000;
+
+// Per-window sync queues
+// Format: Map<windowId, { direction: string|null, timer: number|null, chain: Promise }>
+const syncQueues = new Map();
+
+// Queued syncs, persisted so a sync still pending when the event page is
+// unloaded runs when it next starts. Stored with the browser session's ID,
+// since window IDs from an earlier session may belong to other windows now.
+// Format: { windowId: { directions: [SYNC_TABS_TO_BOOKMARKS|SYNC_BOOKMARKS_TO_TABS], bookmarkIds: [] } }
+let pendingSyncs = {};
+
+// ID of the current browser session (see getSessionId)
+let sessionId = null;
+
+// Loading of the state above from storage, once per event page lifetime
+// Format: Promise|null
+let stateLoaded = null;
+
+// Tabs, bookmarks and groups we changed, so their echo events can be ignored
+// Format: Map<'tab:<id>'|'bookmark:<id>'|'group:<id>', expiresAt>
+const issuedOperations = new Map();
+
+// Creations we issued whose IDs aren't known until their onCreated event
+// Format: Map<'tab:<windowId>'|'bookmark:<parentId>'|'group:<windowId>', expiresAt[]>
+const expectedCreations = new Map();
 
 /**
- * Initialize the extension
+ * Load the extension's state from storage. The background is an event page, so
+ * its globals start out empty each time it wakes up for an event.
  */
-async function initialize() {
+async function loadState() {
   // Load existing mappings from storage
-  const data = await browser.storage.local.get([STORAGE_KEY, PINNED_TABS_KEY, FOLDER_LAST_USED_KEY]);
+  const data = await browser.storage.local.get([
+    STORAGE_KEY,
+    PINNED_TABS_KEY,
+    FOLDER_LAST_USED_KEY,
+    TAB_BINDINGS_KEY,
+    GROUP_BINDINGS_KEY,
+    DETACHED_MAPPINGS_KEY,
+    PENDING_REATTACH_KEY,
+    TRASH_KEY,
+    SNAPSHOTS_KEY,
+    SNAPSHOT_SETTINGS_KEY,
+    METADATA_MIGRATED_KEY,
+    LAST_ACTIVE_KEY,
+    URL_RULES_KEY,
+    FOLDER_SYNC_MODES_KEY,
+    TEMPLATES_KEY,
+    FOLDER_CONTAINERS_KEY,
+    SETTINGS_KEY,
+    PENDING_SYNCS_KEY,
+    AUTO_GROUP_FOLDERS_KEY
+  ]);
   windowMappings = data[STORAGE_KEY] || {};
 
   // Load pinned tabs (convert arrays back to Sets)
@@ -36,375 +288,3890 @@ async function initialize() {
     pinnedTabsByFolder[folderId] = new Set(pinnedData[folderId]);
   }
 
+  // Load per-folder sync modes
+  folderSyncModes = data[FOLDER_SYNC_MODES_KEY] || {};
+
+  // Load template folders
+  templateFolders = data[TEMPLATES_KEY] || {};
+
+  // Load folders created by automatic grouping
+  autoGroupFolders = data[AUTO_GROUP_FOLDERS_KEY] || {};
+
+  // Load per-folder containers and general settings
+  folderContainers = data[FOLDER_CONTAINERS_KEY] || {};
+  settings = { ...DEFAULT_SETTINGS, ...data[SETTINGS_KEY] };
+
   // Load folder last used timestamps
   folderLastUsed = data[FOLDER_LAST_USED_KEY] || {};
 
-  // Clean up mappings for windows that no longer exist
-  const windows = await browser.windows.getAll();
-  const validWindowIds = new Set(windows.map(w => w.id));
+  // Load last active tab per folder
+  lastActiveBookmarks = data[LAST_ACTIVE_KEY] || {};
 
-  for (const windowId in windowMappings) {
-    if (!validWindowIds.has(parseInt(windowId))) {
+  // Load URL inclusion and exclusion rules
+  urlRules = { global: [], groups: {}, ...data[URL_RULES_KEY] };
+
+  // Load tab <-> bookmark bindings
+  tabBookmarkBindings = data[TAB_BINDINGS_KEY] || {};
+
+  // Load tab group <-> subfolder bindings
+  groupFolderBindings = data[GROUP_BINDINGS_KEY] || {};
+
+  // Load mappings kept for re-attaching restored windows
+  detachedMappings = data[DETACHED_MAPPINGS_KEY] || {};
+  pendingReattachments = data[PENDING_REATTACH_KEY] || [];
+
+  // Load the trash journal
+  syncTrash = data[TRASH_KEY] || [];
+
+  // Load snapshots
+  folderSnapshots = data[SNAPSHOTS_KEY] || {};
+  snapshotSettings = { ...DEFAULT_SNAPSHOT_SETTINGS, ...data[SNAPSHOT_SETTINGS_KEY] };
+
+  // Index folders by window. A folder mapped to two windows (possible before
+  // the index existed) stays with the first.
+  folderWindows = {};
+  for (const windowId of Object.keys(windowMappings)) {
+    const folderId = windowMappings[windowId].folderId;
+    if (folderWindows[folderId] !== undefined) {
       delete windowMappings[windowId];
+    } else {
+      folderWindows[folderId] = parseInt(windowId);
+    }
+  }
+
+  // Detach mappings for windows that closed while the extension wasn't running
+  // (e.g. while it was disabled), which the startup tasks don't always see
+  const openWindowIds = new Set((await browser.windows.getAll()).map(w => w.id));
+  const closedWindowIds = Object.keys(windowMappings).filter(windowId => !openWindowIds.has(parseInt(windowId)));
+  for (const windowId of closedWindowIds) {
+    await detachMapping(windowMappings[windowId]);
+    removeWindowMapping(windowId);
+  }
+  if (closedWindowIds.length > 0) {
+    await saveWindowMappings();
+    await saveDetachedMappings();
+  }
+
+  // Run syncs that were still queued when the event page was last unloaded, if
+  // they are from this browser session and their window is still open and synced
+  sessionId = await getSessionId();
+  const savedSyncs = data[PENDING_SYNCS_KEY];
+  pendingSyncs = savedSyncs && savedSyncs.sessionId === sessionId ? savedSyncs.windows : {};
+
+  for (const windowId of Object.keys(pendingSyncs)) {
+    const { directions, bookmarkIds } = pendingSyncs[windowId];
+    delete pendingSyncs[windowId];
+    if (windowMappings[windowId] && openWindowIds.has(parseInt(windowId))) {
+      for (const direction of directions) {
+        scheduleSync(windowId, direction, bookmarkIds);
+      }
+    }
+  }
+}
+
+/**
+ * Get the ID of the current browser session. It lives in session storage,
+ * which Firefox clears when it quits, so a new ID means a new session.
+ */
+async function getSessionId() {
+  const { [SESSION_ID_KEY]: savedId } = await browser.storage.session.get(SESSION_ID_KEY);
+  if (savedId) return savedId;
+
+  const newId = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+  await browser.storage.session.set({ [SESSION_ID_KEY]: newId });
+  return newId;
+}
+
+/**
+ * Load state from storage if this event page hasn't yet
+ */
+function ensureState() {
+  if (!stateLoaded) {
+    stateLoaded = loadState().catch((error) => {
+      // Try again on the next event
+      stateLoaded = null;
+      throw error;
+    });
+  }
+  return stateLoaded;
+}
+
+/**
+ * Wrap an event listener so it runs once state is loaded. The wrapper itself is
+ * registered synchronously at the top level, so the event wakes the event page.
+ */
+function withState(listener) {
+  return async (...args) => {
+    await ensureState();
+    return listener(...args);
+  };
+}
+
+/**
+ * Catch up with what changed while the extension wasn't running. Runs when the
+ * browser starts and when the extension is installed or updated; other times
+ * the event page wakes up, its windows, tabs and groups are still the same.
+ * Firefox reuses window, tab and group IDs across browser sessions, so when the
+ * browser has just started (browserStarted), every mapping is detached and
+ * every binding dropped, and windows are matched to folders by their tabs again.
+ */
+async function runStartupTasks(browserStarted = false) {
+  startupWindowsUntil = Date.now() + STARTUP_WINDOW_GRACE_MS;
+  await ensureState();
+
+  // Move pinned state into the bookmarks themselves (one time)
+  const { [METADATA_MIGRATED_KEY]: metadataMigrated } = await browser.storage.local.get(METADATA_MIGRATED_KEY);
+  if (!metadataMigrated) {
+    await migratePinnedMetadata();
+  }
+
+  // Make sure the snapshot alarm matches the settings
+  await updateSnapshotAlarm();
+
+  // Detach mappings for windows that no longer exist, or for every window after
+  // a restart, when an ID that still exists may belong to a different window
+  const windows = await browser.windows.getAll({ populate: true });
+  const validWindowIds = browserStarted ? new Set() : new Set(windows.map(w => w.id));
+
+  for (const windowId of Object.keys(windowMappings)) {
+    if (!validWindowIds.has(parseInt(windowId))) {
+      await detachMapping(windowMappings[windowId]);
+      removeWindowMapping(windowId);
+    }
+  }
+
+  pendingReattachments = pendingReattachments.filter(p => validWindowIds.has(p.windowId));
+
+  // Drop bindings for tabs that no longer exist (all of them after a restart)
+  const validTabIds = new Set();
+  for (const win of browserStarted ? [] : windows) {
+    for (const tab of win.tabs || []) {
+      validTabIds.add(tab.id);
+    }
+  }
+
+  for (const tabId in tabBookmarkBindings) {
+    if (!validTabIds.has(parseInt(tabId))) {
+      delete tabBookmarkBindings[tabId];
+    }
+  }
+
+  // Drop bindings for tab groups that no longer exist
+  const groups = browserStarted ? [] : await browser.tabGroups.query({});
+  const validGroupIds = new Set(groups.map(g => g.id));
+  for (const groupId in groupFolderBindings) {
+    if (!validGroupIds.has(parseInt(groupId))) {
+      delete groupFolderBindings[groupId];
+    }
+  }
+
+  await saveWindowMappings();
+  await saveTabBindings();
+  await saveGroupBindings();
+  await saveDetachedMappings();
+
+  // Handle synced folders that were deleted while the extension wasn't running
+  for (const folderId of Object.keys(folderWindows)) {
+    try {
+      await browser.bookmarks.get(folderId);
+    } catch (error) {
+      await handleSyncedFolderDeleted(folderId, null);
+    }
+  }
+
+  // Re-sync restored windows with the folders they came from
+  await reconcileRestoredWindows(windows);
+
+  // Show each window's group on its toolbar badge and title bar
+  await updateAllWindowIndicators();
+
+  console.log('Tab Group Bookmarks started');
+  console.log('Window mappings:', windowMappings);
+  console.log('Pinned tabs by folder:', pinnedTabsByFolder);
+}
+
+/**
+ * Save window mappings to storage
+ */
+async function saveWindowMappings() {
+  await browser.storage.local.set({ [STORAGE_KEY]: windowMappings });
+  notifyGroupsChanged();
+}
+
+/**
+ * Tell open extension pages (such as the sidebar) that group state changed
+ */
+function notifyGroupsChanged() {
+  browser.runtime.sendMessage({ type: 'groupsChanged' })
+    .catch(() => {
+      // No extension page is listening
+    });
+}
+
+/**
+ * Save pinned tabs to storage
+ */
+async function savePinnedTabs() {
+  // Convert Sets to arrays for storage
+  const pinnedData = {};
+  for (const folderId in pinnedTabsByFolder) {
+    pinnedData[folderId] = Array.from(pinnedTabsByFolder[folderId]);
+  }
+  await browser.storage.local.set({ [PINNED_TABS_KEY]: pinnedData });
+}
+
+/**
+ * Save tab <-> bookmark bindings to storage
+ */
+async function saveTabBindings() {
+  await browser.storage.local.set({ [TAB_BINDINGS_KEY]: tabBookmarkBindings });
+}
+
+/**
+ * Bind a tab to the bookmark that represents it
+ */
+function bindTab(tabId, bookmarkId) {
+  tabBookmarkBindings[tabId] = bookmarkId;
+}
+
+/**
+ * Remove the binding for a tab
+ */
+function unbindTab(tabId) {
+  delete tabBookmarkBindings[tabId];
+}
+
+/**
+ * Save tab group <-> subfolder bindings to storage
+ */
+async function saveGroupBindings() {
+  await browser.storage.local.set({ [GROUP_BINDINGS_KEY]: groupFolderBindings });
+}
+
+/**
+ * Bind a tab group to the subfolder that represents it
+ */
+function bindGroup(groupId, folderId) {
+  groupFolderBindings[groupId] = folderId;
+}
+
+/**
+ * Remove all tab group bindings pointing at a subfolder
+ */
+function unbindFolderGroups(folderId) {
+  for (const groupId in groupFolderBindings) {
+    if (groupFolderBindings[groupId] === folderId) {
+      delete groupFolderBindings[groupId];
     }
   }
+}
+
+/**
+ * Save detached mappings to storage
+ */
+async function saveDetachedMappings() {
+  await browser.storage.local.set({ [DETACHED_MAPPINGS_KEY]: detachedMappings });
+}
+
+/**
+ * Save pending re-attachment suggestions to storage
+ */
+async function savePendingReattachments() {
+  await browser.storage.local.set({ [PENDING_REATTACH_KEY]: pendingReattachments });
+}
+
+/**
+ * Update last used timestamp for a folder
+ */
+async function updateFolderLastUsed(folderId) {
+  folderLastUsed[folderId] = Date.now();
+  await browser.storage.local.set({ [FOLDER_LAST_USED_KEY]: folderLastUsed });
+  console.log('Updated last used for folder', folderId);
+  notifyGroupsChanged();
+}
+
+/**
+ * Change general settings
+ */
+async function setSettings(changes) {
+  settings = { ...settings, ...changes };
+  await browser.storage.local.set({ [SETTINGS_KEY]: settings });
+}
+
+/**
+ * Associate a window with a bookmark folder. If the folder is already open in
+ * another window, this refuses, or with onConflict 'merge' moves this window's
+ * tabs into that window instead.
+ */
+async function associateWindowWithFolder(windowId, folderId, folderTitle, onConflict = 'refuse') {
+  windowId = parseInt(windowId);
+  const existingWindowId = getFolderWindowId(folderId);
+  if (existingWindowId !== null && existingWindowId !== windowId && onConflict === 'merge') {
+    await mergeWindowInto(windowId, existingWindowId);
+    return;
+  }
+
+  setWindowMapping(windowId, createMapping(folderId, folderTitle));
+  const syncMode = getSyncMode(windowMappings[windowId]);
+  await saveWindowMappings();
+
+  // The folder is live again, so it no longer needs re-attaching
+  await clearReattachmentState(windowId, folderId);
+
+  // Update last used timestamp
+  await updateFolderLastUsed(folderId);
+
+  // Initial sync: populate bookmarks with current tabs, or make a
+  // read-only window follow its folder
+  await syncNow(windowId, syncMode === SYNC_MODE_READ_ONLY ? SYNC_BOOKMARKS_TO_TABS : SYNC_TABS_TO_BOOKMARKS);
+
+  await updateWindowIndicator(windowId);
+}
+
+/**
+ * Get the window a folder is open (and synced) in, or null
+ */
+function getFolderWindowId(folderId) {
+  return folderWindows[folderId] ?? null;
+}
+
+/**
+ * Map a window to a folder, keeping the folder -> window index in step.
+ * Throws if the folder is already open in another window.
+ */
+function setWindowMapping(windowId, mapping) {
+  windowId = parseInt(windowId);
+  const existingWindowId = getFolderWindowId(mapping.folderId);
+  if (existingWindowId !== null && existingWindowId !== windowId) {
+    throw new Error(`"${mapping.folderTitle}" is already open in another window`);
+  }
+
+  removeWindowMapping(windowId);
+  windowMappings[windowId] = mapping;
+  folderWindows[mapping.folderId] = windowId;
+}
+
+/**
+ * Remove a window's mapping and its entry in the folder -> window index
+ */
+function removeWindowMapping(windowId) {
+  windowId = parseInt(windowId);
+  const mapping = windowMappings[windowId];
+  if (!mapping) return;
+
+  if (folderWindows[mapping.folderId] === windowId) {
+    delete folderWindows[mapping.folderId];
+  }
+  delete windowMappings[windowId];
+}
+
+/**
+ * Create a window mapping for a folder, with the folder's sync mode
+ */
+function createMapping(folderId, folderTitle) {
+  return { folderId, folderTitle, syncMode: folderSyncModes[folderId] || SYNC_MODE_TWO_WAY };
+}
+
+/**
+ * Get a mapping's sync mode (mappings saved before modes existed are two-way)
+ */
+function getSyncMode(mapping) {
+  return mapping.syncMode || SYNC_MODE_TWO_WAY;
+}
+
+/**
+ * Check whether a mapping's sync mode lets a sync run in a direction
+ */
+function isSyncDirectionAllowed(mapping, direction) {
+  const syncMode = getSyncMode(mapping);
+  if (syncMode === SYNC_MODE_BACKUP_ONLY) return direction === SYNC_TABS_TO_BOOKMARKS;
+  if (syncMode === SYNC_MODE_READ_ONLY) return direction === SYNC_BOOKMARKS_TO_TABS;
+  return true;
+}
+
+/**
+ * Change the sync mode of a window's folder, then sync in the direction the
+ * new mode is based on so both sides start out matching
+ */
+async function setSyncMode(windowId, syncMode) {
+  const mapping = windowMappings[windowId];
+  if (!mapping) {
+    throw new Error('This window is not synced');
+  }
+  if (!SYNC_MODES.includes(syncMode)) {
+    throw new Error(`Unknown sync mode "${syncMode}"`);
+  }
 
+  mapping.syncMode = syncMode;
+  folderSyncModes[mapping.folderId] = syncMode;
   await saveWindowMappings();
+  await browser.storage.local.set({ [FOLDER_SYNC_MODES_KEY]: folderSyncModes });
+
+  await syncNow(windowId, syncMode === SYNC_MODE_READ_ONLY ? SYNC_BOOKMARKS_TO_TABS : SYNC_TABS_TO_BOOKMARKS);
+}
+
+/**
+ * Move all of a window's tabs into another window and focus it. The emptied
+ * window closes by itself.
+ */
+async function mergeWindowInto(sourceWindowId, targetWindowId) {
+  if (windowMappings[sourceWindowId]) {
+    await syncNow(sourceWindowId, SYNC_TABS_TO_BOOKMARKS);
+    await disassociateWindow(sourceWindowId);
+  }
+
+  const tabs = await browser.tabs.query({ windowId: sourceWindowId });
+  await browser.tabs.move(tabs.map(tab => tab.id), { windowId: targetWindowId, index: -1 });
+  await browser.windows.update(targetWindowId, { focused: true });
+}
+
+/**
+ * Create a new bookmark folder and associate it with a window
+ */
+async function createFolderForWindow(windowId, folderTitle) {
+  const folder = await createGroupFolder(folderTitle);
+
+  await associateWindowWithFolder(windowId, folder.id, folderTitle);
+  return folder;
+}
+
+/**
+ * Get the folder new groups are created in, or null for the browser's default
+ * ("Other Bookmarks"). A root folder that no longer exists is forgotten.
+ */
+async function getGroupRootFolderId() {
+  if (!settings.groupRootFolderId) return null;
+
+  try {
+    await browser.bookmarks.get(settings.groupRootFolderId);
+    return settings.groupRootFolderId;
+  } catch (error) {
+    console.log('Group root folder', settings.groupRootFolderId, 'was deleted, using the default');
+    await setSettings({ groupRootFolderId: null });
+    return null;
+  }
+}
+
+/**
+ * Create the folder for a new group in the group root folder
+ */
+async function createGroupFolder(title) {
+  const parentId = await getGroupRootFolderId();
+  return browser.bookmarks.create({ ...(parentId ? { parentId } : {}), title, type: 'folder' });
+}
+
+/**
+ * Disassociate a window from its bookmark folder
+ */
+async function disassociateWindow(windowId) {
+  removeWindowMapping(windowId);
+  await saveWindowMappings();
+  await updateWindowIndicator(windowId);
+}
+
+/**
+ * Split a bookmark title into the display title and its metadata.
+ * Titles without a (well-formed) metadata suffix have null metadata.
+ */
+function decodeBookmarkTitle(rawTitle) {
+  rawTitle = rawTitle || '';
+  const match = rawTitle.match(METADATA_PATTERN);
+  if (!match) return { title: rawTitle, metadata: null };
+
+  const metadata = {};
+  try {
+    for (const field of match[1].split(',')) {
+      const [key, value] = field.split('=');
+      if (!key.trim()) continue;
+      metadata[key.trim()] = value === undefined ? true : decodeURIComponent(value);
+    }
+  } catch (error) {
+    // Mangled by another tool, treat the whole title as plain text
+    return { title: rawTitle, metadata: null };
+  }
+
+  return { title: rawTitle.slice(0, match.index), metadata };
+}
+
+/**
+ * Build a bookmark title carrying metadata. Fields that are false or empty are omitted.
+ */
+function encodeBookmarkTitle(title, metadata) {
+  const fields = Object.keys(metadata)
+    .filter(key => metadata[key] !== false && metadata[key] !== null && metadata[key] !== undefined && metadata[key] !== '')
+    .sort()
+    .map(key => metadata[key] === true ? key : `${key}=${encodeURIComponent(metadata[key])}`);
+
+  return fields.length > 0 ? `${title} {tg:${fields.join(',')}}` : title;
+}
+
+/**
+ * Write the legacy device-local pinned sets into bookmark metadata
+ */
+async function migratePinnedMetadata() {
+  for (const folderId in pinnedTabsByFolder) {
+    let layout;
+    try {
+      layout = await getFolderLayout(folderId);
+    } catch (error) {
+      // Folder was deleted
+      delete pinnedTabsByFolder[folderId];
+      continue;
+    }
+
+    for (const entry of layout.entries) {
+      if (entry.metadata || !pinnedTabsByFolder[folderId].has(entry.bookmark.url)) continue;
+      await issueBookmarkUpdate(entry.bookmark.id, {
+        title: encodeBookmarkTitle(entry.title, { pinned: true })
+      });
+    }
+
+    // From now on the metadata is authoritative for this folder
+    delete pinnedTabsByFolder[folderId];
+  }
+
+  await savePinnedTabs();
+  await browser.storage.local.set({ [METADATA_MIGRATED_KEY]: true });
+  console.log('Migrated pinned tabs into bookmark metadata');
+}
+
+/**
+ * Forget a folder's legacy pinned cache once its bookmarks carry the pinned state
+ */
+async function dropPinnedCache(folderId) {
+  if (!pinnedTabsByFolder[folderId]) return;
+  delete pinnedTabsByFolder[folderId];
+  await savePinnedTabs();
+}
+
+/**
+ * Read a synced folder as an ordered list of bookmark entries.
+ * Direct bookmarks are ungrouped tabs; each direct subfolder is a tab group
+ * holding its own direct bookmarks. Deeper folders are left untouched, and
+ * nestedBookmarkCount says how many bookmarks they hold.
+ * Each entry carries its decoded title, metadata and pinned state.
+ */
+async function getFolderLayout(folderId) {
+  const bookmarkTree = await browser.bookmarks.getSubTree(folderId);
+  const children = bookmarkTree[0].children || [];
+
+  const countBookmarks = (node) => node.url ? 1 : (node.children || []).reduce((sum, child) => sum + countBookmarks(child), 0);
+
+  const entries = [];
+  const subfolders = [];
+  let nestedBookmarkCount = 0;
+  for (const child of children) {
+    if (child.url) {
+      entries.push({ bookmark: child, groupFolder: null });
+    } else if (child.type === 'folder' || child.children) {
+      subfolders.push(child);
+      for (const grandchild of child.children || []) {
+        if (grandchild.url) {
+          entries.push({ bookmark: grandchild, groupFolder: child });
+        } else {
+          nestedBookmarkCount += countBookmarks(grandchild);
+        }
+      }
+    }
+  }
+
+  for (const entry of entries) {
+    Object.assign(entry, decodeBookmarkTitle(entry.bookmark.title));
+  }
+
+  // Bookmark metadata is authoritative. The legacy local cache is only kept for
+  // folders whose pinned state hasn't been written into their bookmarks yet; it
+  // is dropped once it has, so unpinning the last tab elsewhere can't re-pin it.
+  const hasMetadata = entries.some(entry => entry.metadata);
+  const fallbackPinnedUrls = pinnedTabsByFolder[folderId] || new Set();
+  for (const entry of entries) {
+    entry.pinned = hasMetadata ? Boolean(entry.metadata?.pinned) : fallbackPinnedUrls.has(entry.bookmark.url);
+  }
+
+  return { entries, subfolders, nestedBookmarkCount };
+}
+
+/**
+ * Tell the user when a folder opened without the bookmarks in its deeper
+ * folders, which don't map to tab groups
+ */
+async function reportNestedBookmarks(layout, folderTitle) {
+  if (layout.nestedBookmarkCount === 0) return;
+
+  const count = layout.nestedBookmarkCount;
+  await notify(
+    'Some bookmarks were not opened',
+    `"${folderTitle}" has ${count} bookmark${count === 1 ? '' : 's'} in folders nested inside its tab group folders. Only one level of subfolders opens as tab groups, so move them up a level to open them.`
+  );
+}
+
+/**
+ * Get the subfolder title used for a tab group
+ */
+function getGroupTitle(group) {
+  return group.title || UNTITLED_GROUP_TITLE;
+}
+
+/**
+ * Put tabs into the tab groups that match their subfolders, creating groups as needed.
+ * tabIdsByFolder maps subfolder ID -> ordered tab IDs; tabGroupIds maps tab ID -> current group ID.
+ */
+async function applySubfolderGroups(windowId, subfolders, tabIdsByFolder, tabGroupIds) {
+  const groups = await browser.tabGroups.query({ windowId });
+
+  for (const folder of subfolders) {
+    const tabIds = tabIdsByFolder.get(folder.id);
+    if (!tabIds || tabIds.length === 0) continue;
+
+    let group = groups.find(g => groupFolderBindings[g.id] === folder.id);
+    if (group) {
+      const ungroupedTabIds = tabIds.filter(tabId => tabGroupIds.get(tabId) !== group.id);
+      if (ungroupedTabIds.length > 0) {
+        await issueTabsGroup({ groupId: group.id, tabIds: ungroupedTabIds });
+      }
+    } else {
+      const groupId = await issueTabsGroup({ tabIds, createProperties: { windowId } });
+      group = { id: groupId, title: '' };
+      bindGroup(groupId, folder.id);
+    }
+
+    if (getGroupTitle(group) !== folder.title) {
+      await issueTabGroupUpdate(group.id, { title: folder.title });
+    }
+  }
+}
+
+/**
+ * Report how far a group restore has got, on the window's toolbar badge and to any open extension page
+ */
+async function reportRestoreProgress(windowId, folderId, created, total) {
+  if (created < total) {
+    restoreProgress[windowId] = { folderId, created, total };
+    await browser.browserAction.setBadgeText({ windowId, text: `${Math.floor((created / total) * 100)}%` });
+  } else {
+    delete restoreProgress[windowId];
+    await updateWindowIndicator(windowId);
+  }
+
+  browser.runtime.sendMessage({ type: 'restoreProgress', windowId, folderId, created, total })
+    .catch(() => {
+      // No extension page is listening
+    });
+}
+
+/**
+ * Open a bookmark folder as a new window with syncing enabled.
+ * Tabs are created in batches and left unloaded (showing just their title) until
+ * selected, except pinned tabs and the tab that was last active in the group.
+ */
+async function openFolderAsNewWindow(folderId, folderTitle) {
+  // A folder already open in a window is focused instead of opened twice. If
+  // that window turns out to be gone, the mapping is stale and the folder opens.
+  const existingWindowId = getFolderWindowId(folderId);
+  if (existingWindowId !== null) {
+    try {
+      const focusedWindow = await browser.windows.update(existingWindowId, { focused: true });
+      await updateFolderLastUsed(folderId);
+      return focusedWindow;
+    } catch (error) {
+      console.error('Synced window is gone, opening the folder again:', error);
+      removeWindowMapping(existingWindowId);
+      await saveWindowMappings();
+    }
+  }
+
+  // Get all bookmarks in the folder, including those in subfolders (tab groups)
+  const layout = await getFolderLayout(folderId);
+
+  // Leave out URLs that aren't synced
+  const urlEntries = layout.entries.filter(({ bookmark }) => isSyncableUrl(bookmark.url, folderId));
+
+  await reportNestedBookmarks(layout, folderTitle);
+
+  if (urlEntries.length === 0) {
+    // Create empty window
+    const newWindow = await browser.windows.create();
+    setWindowMapping(newWindow.id, createMapping(folderId, folderTitle));
+    await saveWindowMappings();
+    await clearReattachmentState(newWindow.id, folderId);
+    await updateFolderLastUsed(folderId);
+    await updateWindowIndicator(newWindow.id);
+    return newWindow;
+  }
+
+  console.log('Opening folder', folderId, 'with', urlEntries.filter(entry => entry.pinned).length, 'pinned tabs');
+
+  // The last active tab (or the first one) loads right away and gets focus
+  const activeEntry = urlEntries.find(entry => entry.bookmark.id === lastActiveBookmarks[folderId]) || urlEntries[0];
+
+  // Create window (it will have one blank tab initially)
+  const newWindow = await browser.windows.create();
+
+  // Get the initial blank tab ID before creating other tabs
+  const initialTabs = await browser.tabs.query({ windowId: newWindow.id });
+  const initialBlankTabId = initialTabs[0]?.id;
+
+  // Associate the window with the folder immediately
+  setWindowMapping(newWindow.id, createMapping(folderId, folderTitle));
+  await saveWindowMappings();
+  await clearReattachmentState(newWindow.id, folderId);
+
+  // Update last used timestamp
+  await updateFolderLastUsed(folderId);
+
+  // Tabs that finish loading during the restore would sync a half-built window
+  // into the folder, so the window's syncs wait until every tab and group exists
+  await runInSyncQueue(newWindow.id, async () => {
+    // Create all bookmarked tabs after the initial blank tab
+    await createTabsFromEntries(newWindow.id, folderId, layout, urlEntries, 1, activeEntry);
+
+    // Remove the initial blank tab by ID
+    if (initialBlankTabId) {
+      await issueTabRemove(initialBlankTabId);
+    }
+  });
+
+  return newWindow;
+}
+
+/**
+ * Create tabs for folder entries in a window, bound to their bookmarks and grouped
+ * by subfolder. Tabs are created with their pinned status a batch at a time, starting
+ * at startIndex; explicit indexes keep the order and Firefox moves pinned tabs to the front.
+ * Every tab except pinned ones and activeEntry's is left unloaded; activeEntry's tab is focused.
+ */
+async function createTabsFromEntries(windowId, folderId, layout, urlEntries, startIndex, activeEntry) {
+  const tabIdsByFolder = new Map();
+  const tabGroupIds = new Map();
+  let activeTabId = null;
+  await reportRestoreProgress(windowId, folderId, 0, urlEntries.length);
+
+  for (let start = 0; start < urlEntries.length; start += RESTORE_BATCH_SIZE) {
+    const batch = urlEntries.slice(start, start + RESTORE_BATCH_SIZE);
+
+    const tabs = await Promise.all(batch.map((entry, i) => {
+      const lazy = !entry.pinned && entry !== activeEntry;
+      return issueTabCreate({
+        windowId,
+        url: entry.bookmark.url,
+        index: startIndex + start + i,
+        active: false,
+        pinned: entry.pinned,
+        ...getContainerOption(folderId),
+        // Unloaded tabs show the bookmark title until they are selected
+        ...(lazy ? { discarded: true, title: entry.title } : {})
+      });
+    }));
+
+    batch.forEach(({ bookmark, groupFolder, pinned: shouldBePinned }, i) => {
+      const tab = tabs[i];
+      bindTab(tab.id, bookmark.id);
+      tabGroupIds.set(tab.id, -1);
+      if (batch[i] === activeEntry) {
+        activeTabId = tab.id;
+      }
+
+      // Pinned tabs can't be grouped
+      if (groupFolder && !shouldBePinned) {
+        if (!tabIdsByFolder.has(groupFolder.id)) {
+          tabIdsByFolder.set(groupFolder.id, []);
+        }
+        tabIdsByFolder.get(groupFolder.id).push(tab.id);
+      }
+    });
+
+    await reportRestoreProgress(windowId, folderId, start + batch.length, urlEntries.length);
+  }
+
+  // Recreate the folder's subfolders as tab groups
+  await applySubfolderGroups(windowId, layout.subfolders, tabIdsByFolder, tabGroupIds);
+  await saveTabBindings();
+  await saveGroupBindings();
+
+  if (activeTabId) {
+    await issueTabUpdate(activeTabId, { active: true });
+  }
+}
+
+/**
+ * Open a bookmark folder into an existing window and sync the window with it.
+ * Modes: 'replace' closes the window's tabs first, 'merge' adds only tabs whose
+ * URL isn't open yet, 'append' adds every tab. If the window is synced with
+ * another folder, switchFolders must be set: that folder is saved and unsynced first.
+ */
+async function openFolderInWindow(windowId, folderId, folderTitle, mode, switchFolders) {
+  const currentMapping = windowMappings[windowId];
+  if (currentMapping && currentMapping.folderId === folderId) return;
+
+  const existingWindowId = getFolderWindowId(folderId);
+  if (existingWindowId !== null) {
+    throw new Error(`"${folderTitle}" is already open in another window`);
+  }
+
+  // A read-only window follows its folder, so the tabs it already has would be
+  // closed by the first sync
+  if ((mode === 'merge' || mode === 'append') && folderSyncModes[folderId] === SYNC_MODE_READ_ONLY) {
+    throw new Error(`"${folderTitle}" is read-only, so it can only replace this window's tabs`);
+  }
+
+  if (currentMapping) {
+    if (!switchFolders) {
+      throw new Error(`This window is already synced with "${currentMapping.folderTitle}"`);
+    }
+    // Save the current folder before letting go of it
+    await syncNow(windowId, SYNC_TABS_TO_BOOKMARKS);
+    await disassociateWindow(windowId);
+  }
+
+  const layout = await getFolderLayout(folderId);
+  let urlEntries = layout.entries.filter(({ bookmark }) => isSyncableUrl(bookmark.url, folderId));
+  await reportNestedBookmarks(layout, folderTitle);
+
+  const existingTabs = await browser.tabs.query({ windowId });
+
+  if (mode === 'merge') {
+    // Skip bookmarks already open, counting duplicates
+    const openUrls = new Map();
+    for (const tab of getSyncableTabs(existingTabs, folderId)) {
+      openUrls.set(tab.url, (openUrls.get(tab.url) || 0) + 1);
+    }
+    urlEntries = urlEntries.filter(({ bookmark }) => {
+      const count = openUrls.get(bookmark.url);
+      if (count) {
+        openUrls.set(bookmark.url, count - 1);
+        return false;
+      }
+      return true;
+    });
+  }
+
+  const activeEntry = mode === 'replace'
+    ? urlEntries.find(entry => entry.bookmark.id === lastActiveBookmarks[folderId]) || urlEntries[0]
+    : null;
+  const startIndex = mode === 'replace' ? 0 : existingTabs.length;
+
+  // No sync runs for the window until the restore is complete
+  await runInSyncQueue(windowId, async () => {
+    await createTabsFromEntries(windowId, folderId, layout, urlEntries, startIndex, activeEntry);
+
+    if (mode === 'replace') {
+      // Keep one tab open so the window survives an empty folder
+      const tabIdsToClose = existingTabs.map(tab => tab.id);
+      if (urlEntries.length === 0) {
+        await browser.tabs.create({ windowId });
+      }
+      await browser.tabs.remove(tabIdsToClose);
+    }
+  });
+
+  // Sync the window's combined tabs into the folder
+  await associateWindowWithFolder(windowId, folderId, folderTitle);
+}
+
+/**
+ * Check whether a tab's title is only a placeholder: the tab hasn't loaded
+ * yet, so its title is missing or just its URL
+ */
+function hasPlaceholderTitle(tab) {
+  return tab.discarded || !tab.title || tab.title === tab.url ||
+    (tab.status === 'loading' && tab.url.includes(tab.title));
+}
+
+/**
+ * Find the positions that break increasing order: everything outside one
+ * longest increasing subsequence, i.e. the fewest items that have to move
+ */
+function findOutOfOrder(positions) {
+  const lengths = [];
+  const previous = [];
+  let last = -1;
+  for (let i = 0; i < positions.length; i++) {
+    lengths[i] = 1;
+    previous[i] = -1;
+    for (let j = 0; j < i; j++) {
+      if (positions[j] < positions[i] && lengths[j] + 1 > lengths[i]) {
+        lengths[i] = lengths[j] + 1;
+        previous[i] = j;
+      }
+    }
+    if (last === -1 || lengths[i] > lengths[last]) {
+      last = i;
+    }
+  }
+
+  const inOrder = new Set();
+  for (let i = last; i !== -1; i = previous[i]) {
+    inOrder.add(i);
+  }
+  return new Set(positions.map((_, i) => i).filter(i => !inOrder.has(i)));
+}
+
+/**
+ * Compare a window's syncable tabs with its folder's syncable entries (as from
+ * getFolderLayout), without side effects. Both sync directions and the
+ * verify/repair tool use it, so they always agree on what matches what.
+ *
+ * Tabs are matched to the bookmarks they are bound to first, then to unclaimed
+ * bookmarks with the same URL in order, so duplicate URLs each keep their own
+ * bookmark. bindings maps tab ID -> bookmark ID; groups are the window's tab groups.
+ * Returns the matched pairs in tab order, what each side is missing, and how
+ * matched pairs differ.
+ */
+function computeSyncDiff(tabs, entries, bindings, groups) {
+  const entriesByBookmarkId = new Map(entries.map(entry => [entry.bookmark.id, entry]));
+  const groupTitles = new Map(groups.map(group => [group.id, getGroupTitle(group)]));
+
+  const entryByTabId = new Map();
+  const matchedBookmarkIds = new Set();
+  const claim = (tab, entry) => {
+    entryByTabId.set(tab.id, entry);
+    matchedBookmarkIds.add(entry.bookmark.id);
+  };
+
+  // First pass: the bookmarks tabs are already bound to
+  for (const tab of tabs) {
+    const boundEntry = entriesByBookmarkId.get(bindings[tab.id]);
+    if (boundEntry && !matchedBookmarkIds.has(boundEntry.bookmark.id)) {
+      claim(tab, boundEntry);
+    }
+  }
+
+  // Second pass: unclaimed bookmarks with the same URL, in order
+  for (const tab of tabs) {
+    if (entryByTabId.has(tab.id)) continue;
+    const candidate = entries.find(entry =>
+      entry.bookmark.url === tab.url && !matchedBookmarkIds.has(entry.bookmark.id)
+    );
+    if (candidate) {
+      claim(tab, candidate);
+    }
+  }
+
+  const matches = tabs
+    .filter(tab => entryByTabId.has(tab.id))
+    .map(tab => ({ tab, entry: entryByTabId.get(tab.id) }));
+
+  // Matched pairs whose bookmark sits in a different order than its tab
+  const entryPositions = new Map(entries.map((entry, i) => [entry.bookmark.id, i]));
+  const outOfOrder = findOutOfOrder(matches.map(({ entry }) => entryPositions.get(entry.bookmark.id)));
+
+  return {
+    matches,
+    tabsMissingFromFolder: tabs.filter(tab => !entryByTabId.has(tab.id)),
+    bookmarksMissingFromWindow: entries.filter(entry => !matchedBookmarkIds.has(entry.bookmark.id)),
+    orderMismatches: matches.filter((_, i) => outOfOrder.has(i)),
+    // A tab that hasn't loaded only has a placeholder title, which isn't drift
+    titleDrift: matches.filter(({ tab, entry }) => !hasPlaceholderTitle(tab) && tab.title !== entry.title),
+    urlDrift: matches.filter(({ tab, entry }) => tab.url !== entry.bookmark.url),
+    pinnedMismatches: matches.filter(({ tab, entry }) => tab.pinned !== entry.pinned),
+    // Pinned tabs can't be grouped, so their group isn't compared
+    groupMismatches: matches.filter(({ tab, entry }) =>
+      !tab.pinned && !entry.pinned &&
+      (groupTitles.get(tab.groupId) ?? null) !== (entry.groupFolder ? entry.groupFolder.title : null)
+    )
+  };
+}
+
+/**
+ * Sync all tabs in a window to its bookmark folder
+ */
+async function syncTabsToBookmarks(windowId) {
+  const mapping = windowMappings[windowId];
+  if (!mapping) return;
+
+  console.log('=== syncTabsToBookmarks START for window', windowId, '===');
+
+  // Move tabs that are outside the group's container into it first, if that's the setting
+  if (settings.containerMismatch === 'reopen') {
+    await reopenMismatchedTabs(windowId);
+  }
+
+  // Get all tabs and tab groups in the window
+  const tabs = await browser.tabs.query({ windowId });
+  const groups = await browser.tabGroups.query({ windowId });
+  const groupsById = new Map(groups.map(group => [group.id, group]));
+  console.log('Found', tabs.length, 'tabs in', groups.length, 'groups');
+
+  // Get all bookmarks in the folder and its subfolders
+  const layout = await getFolderLayout(mapping.folderId);
+  const subfoldersById = new Map(layout.subfolders.map(folder => [folder.id, folder]));
+
+  // Match tab groups to subfolders: by binding first, then by title
+  const groupFolders = new Map();
+  const claimedFolderIds = new Set();
+  for (const group of groups) {
+    const boundFolder = subfoldersById.get(groupFolderBindings[group.id]);
+    if (boundFolder && !claimedFolderIds.has(boundFolder.id)) {
+      groupFolders.set(group.id, boundFolder);
+      claimedFolderIds.add(boundFolder.id);
+    }
+  }
+  for (const group of groups) {
+    if (groupFolders.has(group.id)) continue;
+    const candidate = layout.subfolders.find(folder =>
+      folder.title === getGroupTitle(group) && !claimedFolderIds.has(folder.id)
+    );
+    if (candidate) {
+      groupFolders.set(group.id, candidate);
+      claimedFolderIds.add(candidate.id);
+    }
+  }
+
+  // Match tabs to bookmarks. Bookmarks whose URL isn't synced are left alone.
+  const syncableTabs = getSyncableTabs(tabs, mapping.folderId);
+  const syncedEntries = layout.entries.filter(({ bookmark }) => isSyncableUrl(bookmark.url, mapping.folderId));
+  const diff = computeSyncDiff(syncableTabs, syncedEntries, tabBookmarkBindings, groups);
+  const matches = new Map(diff.matches.map(({ tab, entry }) => [tab.id, entry]));
+
+  // Track which bookmarks we've seen (to identify ones to delete)
+  const seenBookmarkIds = new Set(diff.matches.map(({ entry }) => entry.bookmark.id));
+
+  // Snapshot the folder before a large removal
+  if (diff.bookmarksMissingFromWindow.length >= LARGE_CHANGE_THRESHOLD) {
+    await recordSnapshot(mapping.folderId, 'before-change');
+  }
+
+  // Sync tabs to bookmarks. Ungrouped tabs and subfolders share the top-level
+  // indexes; tabs in a group are indexed within their subfolder.
+  let topIndex = 0;
+  const placedFolderIds = new Set();
+  const nextIndexByFolder = new Map();
+  for (const tab of syncableTabs) {
+    console.log('Processing tab:', tab.url, 'pinned:', tab.pinned);
+
+    // Work out which folder this tab belongs in
+    let parentId = mapping.folderId;
+    const group = groupsById.get(tab.groupId);
+    if (group) {
+      let groupFolder = groupFolders.get(group.id);
+      const title = getGroupTitle(group);
+
+      if (!groupFolder) {
+        // New tab group: create its subfolder
+        groupFolder = await issueBookmarkCreate({
+          parentId: mapping.folderId,
+          title,
+          index: topIndex
+        });
+        groupFolders.set(group.id, groupFolder);
+        claimedFolderIds.add(groupFolder.id);
+      } else if (!placedFolderIds.has(groupFolder.id)) {
+        // Rename and reorder the subfolder to follow its group
+        if (groupFolder.title !== title) {
+          await issueBookmarkUpdate(groupFolder.id, { title });
+        }
+        if (groupFolder.index !== topIndex) {
+          await issueBookmarkMove(groupFolder.id, { parentId: mapping.folderId, index: topIndex });
+        }
+      }
+
+      if (!placedFolderIds.has(groupFolder.id)) {
+        placedFolderIds.add(groupFolder.id);
+        bindGroup(group.id, groupFolder.id);
+        topIndex++;
+      }
+      parentId = groupFolder.id;
+    }
+
+    let bookmarkIndex;
+    if (parentId === mapping.folderId) {
+      bookmarkIndex = topIndex++;
+    } else {
+      bookmarkIndex = nextIndexByFolder.get(parentId) || 0;
+      nextIndexByFolder.set(parentId, bookmarkIndex + 1);
+    }
+
+    const existingEntry = matches.get(tab.id);
+
+    if (existingEntry) {
+      const existingBookmark = existingEntry.bookmark;
+      bindTab(tab.id, existingBookmark.id);
+
+      // Update URL and title (with metadata) in place if different (e.g. the tab navigated)
+      // Keep the bookmark's title while the tab only has a placeholder (it hasn't loaded yet)
+      const tabTitle = hasPlaceholderTitle(tab) && existingEntry.title ? existingEntry.title : tab.title;
+      const title = encodeBookmarkTitle(tabTitle, { ...(existingEntry.metadata || {}), pinned: tab.pinned });
+      const changes = {};
+      if (existingBookmark.url !== tab.url) {
+        changes.url = tab.url;
+      }
+      if (existingBookmark.title !== title) {
+        changes.title = title;
+      }
+      if (Object.keys(changes).length > 0) {
+        await issueBookmarkUpdate(existingBookmark.id, changes);
+      }
+
+      // Update position (or group) if different
+      if (existingBookmark.parentId !== parentId || existingBookmark.index !== bookmarkIndex) {
+        await issueBookmarkMove(existingBookmark.id, { parentId, index: bookmarkIndex });
+      }
+    } else {
+      // Create new bookmark
+      const newBookmark = await issueBookmarkCreate({
+        parentId,
+        title: encodeBookmarkTitle(tab.title, { pinned: tab.pinned }),
+        url: tab.url,
+        index: bookmarkIndex
+      });
+      seenBookmarkIds.add(newBookmark.id);
+      bindTab(tab.id, newBookmark.id);
+    }
+  }
+
+  // Remove bookmarks that don't have corresponding tabs, keeping them in the trash
+  const trashed = [];
+  for (const { bookmark, title, pinned } of diff.bookmarksMissingFromWindow) {
+    trashed.push({
+      kind: 'bookmark',
+      url: bookmark.url,
+      title,
+      index: bookmark.index,
+      pinned,
+      folderId: mapping.folderId,
+      folderTitle: mapping.folderTitle,
+      groupFolderId: bookmark.parentId !== mapping.folderId ? bookmark.parentId : null,
+      windowId
+    });
+    await issueBookmarkRemove(bookmark.id);
+  }
+  await addToTrash(trashed);
+
+  // Remove subfolders whose tab group is gone, unless they hold nested folders
+  // or bookmarks we don't sync
+  for (const folder of layout.subfolders) {
+    if (placedFolderIds.has(folder.id)) continue;
+    unbindFolderGroups(folder.id);
+    const hasUnsyncedChildren = (folder.children || []).some(child =>
+      !child.url || !isSyncableUrl(child.url, mapping.folderId)
+    );
+    if (!hasUnsyncedChildren) {
+      await issueBookmarkRemove(folder.id);
+    }
+  }
+
+  // Drop bindings for tabs in this window that are no longer syncable
+  for (const tab of tabs) {
+    if (!matches.has(tab.id) && tabBookmarkBindings[tab.id] && !seenBookmarkIds.has(tabBookmarkBindings[tab.id])) {
+      unbindTab(tab.id);
+    }
+  }
+  await saveTabBindings();
+  await saveGroupBindings();
+
+  // The bookmarks now carry the pinned state, so the legacy cache no longer applies
+  await dropPinnedCache(mapping.folderId);
+
+  console.log('=== syncTabsToBookmarks END ===', mapping.folderId);
+
+  // Tab URLs changed, so tabs may now be flagged as outside the group's container
+  await updateWindowIndicator(windowId);
+}
+
+/**
+ * Sync bookmarks in a folder to tabs in the window
+ */
+async function syncBookmarksToTabs(folderId) {
+  // Find the window associated with this folder
+  const windowId = getFolderWindowId(folderId);
+
+  if (windowId === null) return;
+
+  // Get the synced bookmarks in the folder and its subfolders, in tab order
+  const layout = await getFolderLayout(folderId);
+  const entries = layout.entries.filter(({ bookmark }) => isSyncableUrl(bookmark.url, folderId));
+
+  // Get all tabs and tab groups in the window
+  const tabs = await browser.tabs.query({ windowId: parseInt(windowId) });
+  const groups = await browser.tabGroups.query({ windowId: parseInt(windowId) });
+
+  // Match bookmarks to tabs
+  const syncableTabs = getSyncableTabs(tabs, folderId);
+  const diff = computeSyncDiff(syncableTabs, entries, tabBookmarkBindings, groups);
+  const tabsByBookmarkId = new Map(diff.matches.map(({ tab, entry }) => [entry.bookmark.id, tab]));
+
+  // Snapshot the window's current contents before closing many of its tabs
+  if (diff.tabsMissingFromFolder.length >= LARGE_CHANGE_THRESHOLD) {
+    await recordSnapshot(folderId, 'before-change', await captureWindowState(parseInt(windowId)));
+  }
+
+  // Track the tabs that belong in each subfolder's group, and current group membership
+  const tabIdsByFolder = new Map();
+  const tabGroupIds = new Map(tabs.map(tab => [tab.id, tab.groupId ?? -1]));
+  const tabIdsToUngroup = [];
+
+  // The longest run of tabs already in folder order stays put; every other tab
+  // goes right after the previous entry's tab. Tabs that aren't synced keep their
+  // place, so positions are worked out against the window's actual tab order,
+  // kept up to date as tabs move and open. Tabs about to be (un)pinned move anyway.
+  const keptTabIds = getTabsAlreadyInOrder(entries
+    .map(entry => ({ entry, tab: tabsByBookmarkId.get(entry.bookmark.id) }))
+    .filter(({ entry, tab }) => tab && tab.pinned === entry.pinned)
+    .map(({ tab }) => tab));
+  let tabOrder = [...tabs].sort((a, b) => a.index - b.index).map(tab => tab.id);
+  let previousTabId = null;
+  const getIndexAfterPrevious = () => (previousTabId === null ? -1 : tabOrder.indexOf(previousTabId)) + 1;
+  const placeTab = (tabId, index) => {
+    tabOrder = tabOrder.filter(id => id !== tabId);
+    tabOrder.splice(index, 0, tabId);
+  };
+
+  // Sync bookmarks to tabs
+  for (let i = 0; i < entries.length; i++) {
+    const { bookmark, groupFolder, title: bookmarkTitle, pinned: shouldBePinned } = entries[i];
+
+    const existingTab = tabsByBookmarkId.get(bookmark.id);
+
+    let tabId;
+    if (existingTab) {
+      tabId = existingTab.id;
+      bindTab(existingTab.id, bookmark.id);
+
+      // Navigate the tab if the bookmark URL was edited
+      if (existingTab.url !== bookmark.url) {
+        await issueTabUpdate(existingTab.id, { url: bookmark.url });
+      }
+
+      // Update pinned status if different. Pinning moves the tab, so note its new place.
+      if (existingTab.pinned !== shouldBePinned) {
+        const updatedTab = await issueTabUpdate(existingTab.id, { pinned: shouldBePinned });
+        placeTab(existingTab.id, updatedTab.index);
+      }
+
+      // Update position if the tab is out of order
+      if (!keptTabIds.has(existingTab.id)) {
+        const currentIndex = tabOrder.indexOf(existingTab.id);
+        const targetIndex = getIndexAfterPrevious();
+        if (currentIndex !== targetIndex) {
+          // A tab moving right lands one place earlier, since it leaves its old place first
+          const [movedTab] = [].concat(await issueTabMove(existingTab.id, {
+            windowId: parseInt(windowId),
+            index: currentIndex < targetIndex ? targetIndex - 1 : targetIndex
+          }));
+          placeTab(existingTab.id, movedTab.index);
+        }
+      }
+    } else {
+      // Create new tab, unloaded until selected unless it is pinned
+      const newTab = await issueTabCreate({
+        windowId: parseInt(windowId),
+        url: bookmark.url,
+        active: false,
+        pinned: shouldBePinned,
+        ...getContainerOption(folderId),
+        ...(shouldBePinned ? {} : { discarded: true, title: bookmarkTitle }),
+        index: getIndexAfterPrevious()
+      });
+      tabId = newTab.id;
+      placeTab(newTab.id, newTab.index);
+      tabGroupIds.set(newTab.id, -1);
+      bindTab(newTab.id, bookmark.id);
+    }
+    previousTabId = tabId;
+
+    // Pinned tabs can't be grouped
+    if (groupFolder && !shouldBePinned) {
+      if (!tabIdsByFolder.has(groupFolder.id)) {
+        tabIdsByFolder.set(groupFolder.id, []);
+      }
+      tabIdsByFolder.get(groupFolder.id).push(tabId);
+    } else if (tabGroupIds.get(tabId) !== -1) {
+      tabIdsToUngroup.push(tabId);
+    }
+  }
+
+  // Close tabs that don't have corresponding bookmarks, keeping them in the trash
+  const trashed = [];
+  for (const tab of diff.tabsMissingFromFolder) {
+    const groupFolderId = groupFolderBindings[tab.groupId];
+    trashed.push({
+      kind: 'tab',
+      url: tab.url,
+      title: tab.title,
+      index: tab.index,
+      pinned: tab.pinned,
+      folderId,
+      folderTitle: windowMappings[windowId].folderTitle,
+      groupFolderId: groupFolderId || null,
+      windowId: parseInt(windowId)
+    });
+    unbindTab(tab.id);
+    await issueTabRemove(tab.id);
+  }
+  await addToTrash(trashed);
+
+  // Mirror subfolders as tab groups, and take tabs out of groups whose bookmark is top-level
+  await applySubfolderGroups(parseInt(windowId), layout.subfolders, tabIdsByFolder, tabGroupIds);
+  if (tabIdsToUngroup.length > 0) {
+    await issueTabsUngroup(tabIdsToUngroup);
+  }
+
+  await saveTabBindings();
+  await saveGroupBindings();
+}
+
+/**
+ * Find the largest set of tabs, given in the order they should be in, that
+ * are already in that order in the window, so only the others need to move
+ */
+function getTabsAlreadyInOrder(orderedTabs) {
+  // Longest run of increasing tab indexes: lengths[i] is the longest run ending at tab i
+  const lengths = [];
+  const previous = [];
+  let end = -1;
+  for (let i = 0; i < orderedTabs.length; i++) {
+    lengths[i] = 1;
+    previous[i] = -1;
+    for (let j = 0; j < i; j++) {
+      if (orderedTabs[j].index < orderedTabs[i].index && lengths[j] + 1 > lengths[i]) {
+        lengths[i] = lengths[j] + 1;
+        previous[i] = j;
+      }
+    }
+    if (end === -1 || lengths[i] > lengths[end]) {
+      end = i;
+    }
+  }
+
+  const keptTabIds = new Set();
+  for (let i = end; i !== -1; i = previous[i]) {
+    keptTabIds.add(orderedTabs[i].id);
+  }
+  return keptTabIds;
+}
+
+/**
+ * Find the synced folder that a bookmark parent belongs to: either the synced
+ * folder itself or one of its direct subfolders (tab groups)
+ */
+async function findSyncedFolderId(parentId) {
+  const isSynced = (folderId) => getFolderWindowId(folderId) !== null;
+
+  if (!parentId) return null;
+  if (isSynced(parentId)) return parentId;
+
+  try {
+    const [parent] = await browser.bookmarks.get(parentId);
+    if (parent && isSynced(parent.parentId)) {
+      return parent.parentId;
+    }
+  } catch (error) {
+    // Parent was removed along with its children
+  }
+
+  return null;
+}
+
+// ============================================================================
+// URL Rules
+// ============================================================================
+
+/**
+ * Unwrap URLs that only show another page: reader mode and view-source
+ */
+function unwrapUrl(url) {
+  if (url.startsWith('view-source:')) {
+    return unwrapUrl(url.slice('view-source:'.length));
+  }
+
+  if (url.startsWith('about:reader?')) {
+    const target = new URLSearchParams(url.slice('about:reader?'.length)).get('url');
+    if (target) {
+      return unwrapUrl(target);
+    }
+  }
+
+  return url;
+}
+
+/**
+ * Check whether a single rule's pattern matches a URL
+ */
+function urlRuleMatches(rule, url) {
+  if (rule.type === 'prefix') {
+    return url.startsWith(rule.pattern);
+  }
+
+  if (rule.type === 'domain') {
+    let hostname;
+    try {
+      hostname = new URL(url).hostname;
+    } catch (error) {
+      return false;
+    }
+    const domain = rule.pattern.toLowerCase();
+    return hostname === domain || hostname.endsWith(`.${domain}`);
+  }
+
+  if (rule.type === 'regex') {
+    if (!compiledUrlPatterns.has(rule.pattern)) {
+      compiledUrlPatterns.set(rule.pattern, new RegExp(rule.pattern));
+    }
+    return compiledUrlPatterns.get(rule.pattern).test(url);
+  }
+
+  return false;
+}
+
+/**
+ * Get the URL a tab or bookmark is synced under, or null if it isn't synced.
+ * Reader-mode and view-source URLs sync as the page they show. Rules for the
+ * folder are checked before global rules; without a matching rule a URL is synced.
+ */
+function getSyncUrl(url, folderId = null) {
+  if (!url) return null;
+
+  url = unwrapUrl(url);
+  if (UNSUPPORTED_URL_PREFIXES.some(prefix => url.startsWith(prefix))) return null;
+
+  const rules = [...((folderId && urlRules.groups[folderId]) || []), ...urlRules.global];
+  const rule = rules.find(r => urlRuleMatches(r, url));
+
+  return rule && rule.action === 'exclude' ? null : url;
+}
+
+/**
+ * Check whether a URL is synced for a folder
+ */
+function isSyncableUrl(url, folderId = null) {
+  return getSyncUrl(url, folderId) !== null;
+}
+
+/**
+ * Check a list of URLs at once, for extension pages (one message instead of one per URL)
+ */
+function checkSyncableUrls(urls, folderId = null) {
+  return urls.map(url => isSyncableUrl(url, folderId));
+}
+
+/**
+ * Get a window's synced tabs, each with its URL replaced by the URL it syncs under
+ */
+function getSyncableTabs(tabs, folderId) {
+  const syncableTabs = [];
+  for (const tab of tabs) {
+    const url = getSyncUrl(tab.url, folderId);
+    if (url) {
+      syncableTabs.push({ ...tab, url });
+    }
+  }
+  return syncableTabs;
+}
+
+/**
+ * Check a rule list, throwing an error describing the first invalid rule
+ */
+function validateUrlRules(rules) {
+  for (const rule of rules) {
+    if (!URL_RULE_TYPES.includes(rule.type)) {
+      throw new Error(`Unknown rule type "${rule.type}"`);
+    }
+    if (!URL_RULE_ACTIONS.includes(rule.action)) {
+      throw new Error(`Unknown rule action "${rule.action}"`);
+    }
+    if (!rule.pattern) {
+      throw new Error('Rules need a pattern');
+    }
+    if (rule.type === 'regex') {
+      try {
+        new RegExp(rule.pattern);
+      } catch (error) {
+        throw new Error(`Invalid regular expression "${rule.pattern}": ${error.message}`);
+      }
+    }
+  }
+}
+
+/**
+ * Replace the URL rules, then resync every synced window so newly included
+ * tabs are saved (newly excluded bookmarks are left in place)
+ */
+async function setUrlRules(rules) {
+  validateUrlRules(rules.global);
+  for (const folderId in rules.groups) {
+    validateUrlRules(rules.groups[folderId]);
+    if (rules.groups[folderId].length === 0) {
+      delete rules.groups[folderId];
+    }
+  }
+
+  urlRules = rules;
+  compiledUrlPatterns.clear();
+  await browser.storage.local.set({ [URL_RULES_KEY]: urlRules });
+
+  for (const windowId in windowMappings) {
+    scheduleSync(parseInt(windowId), SYNC_TABS_TO_BOOKMARKS);
+  }
+}
+
+// ============================================================================
+// Sync Scheduler
+// ============================================================================
+
+/**
+ * Get (or create) the sync queue for a window. It keeps each pending direction,
+ * plus the bookmarks changed in the folder, so changes on both sides can be
+ * reconciled rather than one side overwriting the other.
+ */
+function getSyncQueue(windowId) {
+  let queue = syncQueues.get(windowId);
+  if (!queue) {
+    queue = { directions: new Set(), bookmarkIds: new Set(), timer: null, chain: Promise.resolve() };
+    syncQueues.set(windowId, queue);
+  }
+  return queue;
+}
+
+/**
+ * Queue a sync for a window. Bursts of events are merged into one diff once
+ * they settle. bookmarkIds names the bookmarks (or subfolders) whose change
+ * queued a bookmarks -> tabs sync.
+ */
+function scheduleSync(windowId, direction, bookmarkIds = []) {
+  windowId = parseInt(windowId);
+  if (!windowMappings[windowId]) return;
+
+  // Changes on a side the sync mode doesn't sync from are ignored
+  if (!isSyncDirectionAllowed(windowMappings[windowId], direction)) return;
+
+  const queue = getSyncQueue(windowId);
+  queue.directions.add(direction);
+  for (const bookmarkId of bookmarkIds) {
+    queue.bookmarkIds.add(bookmarkId);
+  }
+  clearTimeout(queue.timer);
+  queue.timer = setTimeout(() => runQueuedSync(windowId).catch(() => {
+    // Logged by the queue; nobody is waiting for this sync
+  }), SYNC_DEBOUNCE_MS);
+  savePendingSync(windowId);
+}
+
+/**
+ * Persist a window's queued syncs, or forget them once none are queued
+ */
+async function savePendingSync(windowId) {
+  const queue = syncQueues.get(windowId);
+  if (queue && queue.directions.size > 0) {
+    pendingSyncs[windowId] = { directions: Array.from(queue.directions), bookmarkIds: Array.from(queue.bookmarkIds) };
+  } else {
+    delete pendingSyncs[windowId];
+  }
+  await browser.storage.local.set({ [PENDING_SYNCS_KEY]: { sessionId, windows: pendingSyncs } });
+}
+
+/**
+ * Queue a bookmarks -> tabs sync for whichever window a folder is synced with
+ */
+function scheduleFolderSync(folderId, bookmarkIds) {
+  const windowId = getFolderWindowId(folderId);
+
+  if (windowId !== null) {
+    scheduleSync(windowId, SYNC_BOOKMARKS_TO_TABS, bookmarkIds);
+  }
+}
+
+/**
+ * Check whether a window's sync queue has nothing left to do
+ */
+function isSyncQueueIdle(queue) {
+  return queue.directions.size === 0 && !queue.timer;
+}
+
+/**
+ * Run a window's pending syncs after any sync already running for it.
+ * When both sides changed, the folder's changes are applied to the window
+ * first and the window is then saved to the folder, so neither side's changes
+ * are lost. Syncs for different windows run independently. Resolves once the
+ * sync has run, or rejects with its error; a failed sync doesn't hold up later ones.
+ */
+function runQueuedSync(windowId) {
+  const queue = getSyncQueue(windowId);
+  clearTimeout(queue.timer);
+  queue.timer = null;
+
+  const run = queue.chain.then(async () => {
+    const directions = queue.directions;
+    const bookmarkIds = queue.bookmarkIds;
+    queue.directions = new Set();
+    queue.bookmarkIds = new Set();
+
+    try {
+      const mapping = windowMappings[windowId];
+      if (!mapping) return;
+
+      const toBookmarks = directions.has(SYNC_TABS_TO_BOOKMARKS) && isSyncDirectionAllowed(mapping, SYNC_TABS_TO_BOOKMARKS);
+      const toTabs = directions.has(SYNC_BOOKMARKS_TO_TABS) && isSyncDirectionAllowed(mapping, SYNC_BOOKMARKS_TO_TABS);
+      if (toBookmarks && toTabs) {
+        await applyBookmarkChangesToWindow(windowId, bookmarkIds);
+        await syncTabsToBookmarks(windowId);
+      } else if (toBookmarks) {
+        await syncTabsToBookmarks(windowId);
+      } else if (toTabs) {
+        await syncBookmarksToTabs(mapping.folderId);
+      }
+    } finally {
+      // Forget the persisted syncs, unless more were queued while these ran
+      if (queue.directions.size === 0 && pendingSyncs[windowId]) {
+        await savePendingSync(windowId).catch(error => console.error('Failed to save pending syncs:', error));
+      }
+    }
+  });
+
+  queue.chain = run.catch((error) => {
+    console.error('Sync failed for window', windowId, error);
+  }).finally(() => {
+    if (isSyncQueueIdle(queue)) {
+      syncQueues.delete(windowId);
+    }
+  });
+
+  return run;
+}
+
+/**
+ * Sync a window in one direction right away (after any sync already running
+ * for it) and wait for it. Folder changes still queued reach the window before
+ * it is saved to the folder; a bookmarks -> tabs sync makes the window follow
+ * the whole folder, so it replaces whatever was queued. Rejects if the sync failed.
+ */
+function syncNow(windowId, direction) {
+  windowId = parseInt(windowId);
+  const queue = getSyncQueue(windowId);
+  if (direction === SYNC_TABS_TO_BOOKMARKS) {
+    queue.directions.add(direction);
+  } else {
+    queue.directions = new Set([direction]);
+    queue.bookmarkIds = new Set();
+  }
+  return runQueuedSync(windowId);
+}
+
+/**
+ * Run a task for a window after any sync already running for it, so the two
+ * never interleave. Resolves or rejects with the task's own result.
+ */
+function runInSyncQueue(windowId, task) {
+  windowId = parseInt(windowId);
+  const queue = getSyncQueue(windowId);
+  const run = queue.chain.then(task);
+
+  queue.chain = run.catch(() => {
+    // The caller handles the task's errors
+  }).finally(() => {
+    if (isSyncQueueIdle(queue)) {
+      syncQueues.delete(windowId);
+    }
+  });
+
+  return run;
+}
+
+/**
+ * Remember that we just changed a tab, bookmark or group
+ */
+function recordIssued(kind, id) {
+  issuedOperations.set(`${kind}:${id}`, Date.now() + ECHO_WINDOW_MS);
+}
+
+/**
+ * Check whether an event is the echo of a change we made ourselves
+ */
+function isEcho(kind, id) {
+  const key = `${kind}:${id}`;
+  const expiresAt = issuedOperations.get(key);
+  if (!expiresAt) return false;
+
+  if (expiresAt < Date.now()) {
+    issuedOperations.delete(key);
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Remember that we are about to create something in a window or folder
+ */
+function expectCreation(key) {
+  if (!expectedCreations.has(key)) {
+    expectedCreations.set(key, []);
+  }
+  expectedCreations.get(key).push(Date.now() + ECHO_WINDOW_MS);
+}
+
+/**
+ * Check whether a creation event was one we expected, consuming the expectation
+ */
+function consumeExpectedCreation(key) {
+  const expirations = (expectedCreations.get(key) || []).filter(expiresAt => expiresAt >= Date.now());
+  const matched = expirations.length > 0;
+  if (matched) {
+    expirations.shift();
+  }
+
+  if (expirations.length > 0) {
+    expectedCreations.set(key, expirations);
+  } else {
+    expectedCreations.delete(key);
+  }
+  return matched;
+}
+
+/**
+ * Create a tab, expecting its onCreated echo
+ */
+async function issueTabCreate(createProperties) {
+  expectCreation(`tab:${createProperties.windowId}`);
+  const tab = await browser.tabs.create(createProperties);
+  recordIssued('tab', tab.id);
+  return tab;
+}
+
+/**
+ * Update a tab, ignoring the resulting onUpdated echo
+ */
+async function issueTabUpdate(tabId, updateProperties) {
+  recordIssued('tab', tabId);
+  return browser.tabs.update(tabId, updateProperties);
+}
+
+/**
+ * Move a tab (or an array of tabs), ignoring the resulting onMoved, onDetached
+ * and onAttached echoes
+ */
+async function issueTabMove(tabIds, moveProperties) {
+  for (const tabId of [].concat(tabIds)) {
+    recordIssued('tab', tabId);
+  }
+  return browser.tabs.move(tabIds, moveProperties);
+}
+
+/**
+ * Close a tab, ignoring the resulting onRemoved echo
+ */
+async function issueTabRemove(tabId) {
+  recordIssued('tab', tabId);
+  return browser.tabs.remove(tabId);
+}
+
+/**
+ * Group tabs, ignoring the resulting tab and group echoes
+ */
+async function issueTabsGroup(options) {
+  options.tabIds.forEach(tabId => recordIssued('tab', tabId));
+  if (options.groupId === undefined) {
+    expectCreation(`group:${options.createProperties.windowId}`);
+  } else {
+    recordIssued('group', options.groupId);
+  }
+  const groupId = await browser.tabs.group(options);
+  recordIssued('group', groupId);
+  return groupId;
+}
+
+/**
+ * Ungroup tabs, ignoring the resulting onUpdated echoes
+ */
+async function issueTabsUngroup(tabIds) {
+  tabIds.forEach(tabId => recordIssued('tab', tabId));
+  return browser.tabs.ungroup(tabIds);
+}
+
+/**
+ * Update a tab group, ignoring the resulting onUpdated echo
+ */
+async function issueTabGroupUpdate(groupId, updateProperties) {
+  recordIssued('group', groupId);
+  return browser.tabGroups.update(groupId, updateProperties);
+}
+
+/**
+ * Create a bookmark, expecting its onCreated echo
+ */
+async function issueBookmarkCreate(details) {
+  expectCreation(`bookmark:${details.parentId}`);
+  const bookmark = await browser.bookmarks.create(details);
+  recordIssued('bookmark', bookmark.id);
+  return bookmark;
+}
+
+/**
+ * Update a bookmark, ignoring the resulting onChanged echo
+ */
+async function issueBookmarkUpdate(id, changes) {
+  recordIssued('bookmark', id);
+  return browser.bookmarks.update(id, changes);
+}
+
+/**
+ * Move a bookmark, ignoring the resulting onMoved echo
+ */
+async function issueBookmarkMove(id, destination) {
+  recordIssued('bookmark', id);
+  return browser.bookmarks.move(id, destination);
+}
+
+/**
+ * Remove a bookmark, ignoring the resulting onRemoved echo
+ */
+async function issueBookmarkRemove(id) {
+  recordIssued('bookmark', id);
+  return browser.bookmarks.remove(id);
+}
+
+// ============================================================================
+// Trash
+// ============================================================================
+
+/**
+ * Save the trash journal to storage
+ */
+async function saveTrash() {
+  await browser.storage.local.set({ [TRASH_KEY]: syncTrash });
+}
+
+/**
+ * Record tabs/bookmarks removed by one sync run as a single batch
+ */
+async function addToTrash(items) {
+  if (items.length === 0) return;
+
+  const removedAt = Date.now();
+  const batchId = `${removedAt}-${Math.random().toString(36).slice(2, 8)}`;
+  const entries = items.map((item, i) => ({ ...item, id: `${batchId}-${i}`, batchId, removedAt }));
+
+  // Newest first, bounded by count and age
+  syncTrash = entries.concat(syncTrash)
+    .filter(entry => removedAt - entry.removedAt <= TRASH_RETENTION_MS)
+    .slice(0, MAX_TRASH_ENTRIES);
+
+  await saveTrash();
+}
+
+/**
+ * Put trash entries back. Each entry is recreated as a bookmark in its original
+ * folder (or tab group subfolder); if that folder is open in a window, the usual
+ * bookmarks -> tabs sync reopens the tab there.
+ */
+async function restoreTrashEntries(entries) {
+  // Restore in index order so positions line up
+  const sorted = [...entries].sort((a, b) => a.index - b.index);
+
+  for (const entry of sorted) {
+    try {
+      await browser.bookmarks.get(entry.folderId);
+    } catch (error) {
+      throw new Error(`The folder "${entry.folderTitle}" no longer exists`);
+    }
+
+    let parentId = entry.folderId;
+    if (entry.groupFolderId) {
+      try {
+        await browser.bookmarks.get(entry.groupFolderId);
+        parentId = entry.groupFolderId;
+      } catch (error) {
+        // Tab group's subfolder is gone, restore into the top level
+      }
+    }
+
+    const siblings = await browser.bookmarks.getChildren(parentId);
+    const bookmark = await browser.bookmarks.create({
+      parentId,
+      title: encodeBookmarkTitle(entry.title, { pinned: entry.pinned }),
+      url: entry.url,
+      index: Math.min(entry.index, siblings.length)
+    });
+
+    // A backup-only window never follows its folder, so its next sync would
+    // remove the bookmark again; open it in the window too
+    const windowId = getFolderWindowId(entry.folderId);
+    if (windowId !== null && getSyncMode(windowMappings[windowId]) === SYNC_MODE_BACKUP_ONLY) {
+      await runInSyncQueue(windowId, () => applyDiffChanges(windowId, REPAIR_TO_WINDOW, [`bookmarkMissing::${bookmark.id}`]));
+    }
+
+    syncTrash = syncTrash.filter(e => e.id !== entry.id);
+  }
+
+  await saveTrash();
+}
+
+/**
+ * Restore a single trash entry
+ */
+async function restoreTrashEntry(entryId) {
+  const entry = syncTrash.find(e => e.id === entryId);
+  if (!entry) return;
+  await restoreTrashEntries([entry]);
+}
+
+/**
+ * Restore every entry removed by the same sync run
+ */
+async function restoreTrashBatch(batchId) {
+  await restoreTrashEntries(syncTrash.filter(e => e.batchId === batchId));
+}
+
+/**
+ * Permanently discard everything in the trash
+ */
+async function emptyTrash() {
+  syncTrash = [];
+  await saveTrash();
+}
+
+// ============================================================================
+// Snapshots
+// ============================================================================
+
+/**
+ * Save folder snapshots to storage
+ */
+async function saveSnapshots() {
+  await browser.storage.local.set({ [SNAPSHOTS_KEY]: folderSnapshots });
+}
+
+/**
+ * Create or clear the periodic snapshot alarm to match the settings
+ */
+async function updateSnapshotAlarm() {
+  await browser.alarms.clear(SNAPSHOT_ALARM_NAME);
+  if (snapshotSettings.enabled) {
+    browser.alarms.create(SNAPSHOT_ALARM_NAME, { periodInMinutes: snapshotSettings.intervalMinutes });
+  }
+}
+
+/**
+ * Change snapshot settings from the popup
+ */
+async function setSnapshotSettings(settings) {
+  snapshotSettings = { ...snapshotSettings, ...settings };
+  await browser.storage.local.set({ [SNAPSHOT_SETTINGS_KEY]: snapshotSettings });
+  await updateSnapshotAlarm();
+}
+
+/**
+ * Capture a folder's ordered contents and pinned set
+ */
+async function captureFolderState(folderId) {
+  const layout = await getFolderLayout(folderId);
+
+  return {
+    items: layout.entries.map(({ bookmark, groupFolder, title }) => ({
+      url: bookmark.url,
+      title,
+      group: groupFolder ? groupFolder.title : null
+    })),
+    pinned: layout.entries.filter(entry => entry.pinned).map(entry => entry.bookmark.url)
+  };
+}
+
+/**
+ * List a folder layout's bookmarks as items that each carry their own pinned
+ * flag, since a URL can be in a folder both pinned and unpinned
+ */
+function getPinnedItems(layout) {
+  return layout.entries.map(entry => ({
+    url: entry.bookmark.url,
+    title: entry.title,
+    group: entry.groupFolder ? entry.groupFolder.title : null,
+    pinned: entry.pinned
+  }));
+}
+
+/**
+ * Capture a window's synced tabs in the same shape as a folder
+ */
+async function captureWindowState(windowId) {
+  const tabs = await browser.tabs.query({ windowId });
+  const groups = await browser.tabGroups.query({ windowId });
+  const groupsById = new Map(groups.map(group => [group.id, group]));
+
+  const syncableTabs = getSyncableTabs(tabs, windowMappings[windowId]?.folderId);
+
+  return {
+    items: syncableTabs.map(tab => ({
+      url: tab.url,
+      title: tab.title,
+      group: groupsById.has(tab.groupId) ? getGroupTitle(groupsById.get(tab.groupId)) : null
+    })),
+    pinned: syncableTabs.filter(tab => tab.pinned).map(tab => tab.url)
+  };
+}
+
+/**
+ * Record a snapshot of a folder. Automatic snapshots only run when the
+ * subsystem is enabled, and are skipped if nothing changed since the last one.
+ */
+async function recordSnapshot(folderId, reason, state) {
+  if (!snapshotSettings.enabled && !ALWAYS_RECORDED_SNAPSHOT_REASONS.includes(reason)) return null;
+
+  let folderTitle;
+  try {
+    const [folder] = await browser.bookmarks.get(folderId);
+    folderTitle = folder.title;
+  } catch (error) {
+    // Folder is gone, nothing to snapshot
+    return null;
+  }
+
+  if (!state) {
+    state = await captureFolderState(folderId);
+  }
+
+  const history = folderSnapshots[folderId] || [];
+  const latest = history[0];
+  if (latest && reason !== 'manual' &&
+      JSON.stringify(latest.items) === JSON.stringify(state.items) &&
+      JSON.stringify(latest.pinned) === JSON.stringify(state.pinned)) {
+    return latest;
+  }
+
+  const takenAt = Date.now();
+  const snapshot = {
+    id: `${takenAt}-${Math.random().toString(36).slice(2, 8)}`,
+    takenAt,
+    reason,
+    folderTitle,
+    items: state.items,
+    pinned: state.pinned
+  };
+
+  folderSnapshots[folderId] = [snapshot, ...history].slice(0, MAX_SNAPSHOTS_PER_FOLDER);
+  await saveSnapshots();
+  return snapshot;
+}
+
+/**
+ * Snapshot every synced folder (run from the alarm)
+ */
+async function takeScheduledSnapshots() {
+  const folderIds = new Set(Object.values(windowMappings).map(m => m.folderId));
+  for (const folderId of folderIds) {
+    await recordSnapshot(folderId, 'scheduled');
+  }
+}
+
+/**
+ * Find a snapshot by ID in a folder's history
+ */
+function findSnapshot(folderId, snapshotId) {
+  const snapshot = (folderSnapshots[folderId] || []).find(s => s.id === snapshotId);
+  if (!snapshot) {
+    throw new Error('Snapshot not found');
+  }
+  return snapshot;
+}
+
+/**
+ * Compare a snapshot with the folder's current state
+ */
+async function compareSnapshot(folderId, snapshotId) {
+  const snapshot = findSnapshot(folderId, snapshotId);
+  const current = await captureFolderState(folderId);
+
+  // Multiset differences so duplicate URLs are counted
+  const subtract = (items, others) => {
+    const counts = new Map();
+    for (const item of others) {
+      counts.set(item.url, (counts.get(item.url) || 0) + 1);
+    }
+    return items.filter(item => {
+      const count = counts.get(item.url);
+      if (count) {
+        counts.set(item.url, count - 1);
+        return false;
+      }
+      return true;
+    });
+  };
+
+  const currentPinned = new Set(current.pinned);
+  const snapshotPinned = new Set(snapshot.pinned);
+  const sharedUrls = (items, others) => {
+    const otherUrls = new Set(others.map(item => item.url));
+    return items.map(item => item.url).filter(url => otherUrls.has(url));
+  };
+
+  return {
+    // In the snapshot but not in the folder now
+    removed: subtract(snapshot.items, current.items),
+    // In the folder now but not in the snapshot
+    added: subtract(current.items, snapshot.items),
+    reordered: JSON.stringify(sharedUrls(snapshot.items, current.items)) !==
+      JSON.stringify(sharedUrls(current.items, snapshot.items)),
+    pinnedRemoved: snapshot.pinned.filter(url => !currentPinned.has(url)),
+    pinnedAdded: current.pinned.filter(url => !snapshotPinned.has(url))
+  };
+}
+
+/**
+ * Write items ({ url, title, group }) into a folder, recreating tab group
+ * subfolders. Subfolders the folder already has are reused by title. Items
+ * carrying their own pinned flag keep it; others are pinned by URL.
+ */
+async function writeFolderItems(folderId, items, pinned) {
+  const pinnedUrls = new Set(pinned);
+  const children = await browser.bookmarks.getChildren(folderId);
+  const groupFolderIds = new Map(children.filter(child => !child.url).reverse().map(child => [child.title, child.id]));
+  for (const item of items) {
+    let parentId = folderId;
+    if (item.group) {
+      if (!groupFolderIds.has(item.group)) {
+        const groupFolder = await browser.bookmarks.create({ parentId: folderId, title: item.group });
+        groupFolderIds.set(item.group, groupFolder.id);
+      }
+      parentId = groupFolderIds.get(item.group);
+    }
+    await browser.bookmarks.create({
+      parentId,
+      title: encodeBookmarkTitle(item.title, { pinned: item.pinned ?? pinnedUrls.has(item.url) }),
+      url: item.url
+    });
+  }
+  await dropPinnedCache(folderId);
+}
+
+/**
+ * Replace the bookmarks a snapshot covers with the snapshot's. Nested folders
+ * aren't part of snapshots, so they are kept, along with the subfolders holding
+ * them. If the folder is open in a window, the window is made to match it, even
+ * in backup-only mode, where the window otherwise never follows the folder.
+ */
+async function restoreSnapshotToFolder(folderId, snapshotId) {
+  const snapshot = findSnapshot(folderId, snapshotId);
+
+  const restore = async () => {
+    // Keep the current state so the restore itself can be undone
+    await recordSnapshot(folderId, 'before-restore');
+
+    const layout = await getFolderLayout(folderId);
+    for (const { bookmark } of layout.entries) {
+      await browser.bookmarks.remove(bookmark.id);
+    }
+    for (const folder of layout.subfolders) {
+      if ((folder.children || []).every(child => child.url)) {
+        await browser.bookmarks.remove(folder.id);
+      }
+    }
+
+    await writeFolderItems(folderId, snapshot.items, snapshot.pinned);
+    await syncBookmarksToTabs(folderId);
+  };
+
+  const windowId = getFolderWindowId(folderId);
+  if (windowId !== null) {
+    await runInSyncQueue(windowId, restore);
+  } else {
+    await restore();
+  }
+}
+
+/**
+ * Restore a snapshot into a new folder next to the original
+ */
+async function restoreSnapshotAsNewFolder(folderId, snapshotId) {
+  const snapshot = findSnapshot(folderId, snapshotId);
+  const [original] = await browser.bookmarks.get(folderId);
+
+  const folder = await browser.bookmarks.create({
+    parentId: original.parentId,
+    title: `${snapshot.folderTitle} (${new Date(snapshot.takenAt).toLocaleString()})`,
+    type: 'folder'
+  });
+
+  await writeFolderItems(folder.id, snapshot.items, snapshot.pinned);
+  return folder;
+}
+
+// ============================================================================
+// Templates
+// ============================================================================
+
+/**
+ * Mark or unmark a folder as a template
+ */
+async function setFolderTemplate(folderId, isTemplate) {
+  if (isTemplate) {
+    templateFolders[folderId] = Date.now();
+  } else {
+    delete templateFolders[folderId];
+  }
+  await browser.storage.local.set({ [TEMPLATES_KEY]: templateFolders });
+}
+
+/**
+ * List template folders by title, forgetting any that were deleted
+ */
+async function getTemplates() {
+  const templates = [];
+  for (const folderId in templateFolders) {
+    try {
+      const [folder] = await browser.bookmarks.get(folderId);
+      templates.push({ folderId, title: folder.title });
+    } catch (error) {
+      delete templateFolders[folderId];
+    }
+  }
+  await browser.storage.local.set({ [TEMPLATES_KEY]: templateFolders });
+
+  templates.sort((a, b) => a.title.localeCompare(b.title));
+  return templates;
+}
+
+/**
+ * Format a date as YYYY-MM-DD, for folder titles
+ */
+function formatDate(date) {
+  return [date.getFullYear(), date.getMonth() + 1, date.getDate()]
+    .map(part => String(part).padStart(2, '0'))
+    .join('-');
+}
+
+/**
+ * Copy a folder's bookmarks, tab group subfolders, pinned state, sync mode and
+ * container into a new group folder, named after the original and today's date
+ */
+async function cloneFolder(folderId) {
+  const [folder] = await browser.bookmarks.get(folderId);
+  const layout = await getFolderLayout(folderId);
+
+  const clone = await createGroupFolder(`${folder.title} ${formatDate(new Date())}`);
+  await writeFolderItems(clone.id, getPinnedItems(layout), []);
+
+  if (folderSyncModes[folderId]) {
+    folderSyncModes[clone.id] = folderSyncModes[folderId];
+  }
+  if (folderContainers[folderId]) {
+    folderContainers[clone.id] = folderContainers[folderId];
+  }
+  await browser.storage.local.set({
+    [FOLDER_SYNC_MODES_KEY]: folderSyncModes,
+    [FOLDER_CONTAINERS_KEY]: folderContainers
+  });
+
+  return clone;
+}
+
+/**
+ * Open a folder as a template. As a clone, the folder is copied to a new dated
+ * folder that the new window syncs with; otherwise its tabs open in a new
+ * window that isn't synced, so the template itself is never changed.
+ */
+async function openTemplate(folderId, asClone) {
+  const [folder] = await browser.bookmarks.get(folderId);
+  const layout = await getFolderLayout(folderId);
+  await reportNestedBookmarks(layout, folder.title);
+
+  if (asClone) {
+    const clone = await cloneFolder(folderId);
+    return openFolderAsNewWindow(clone.id, clone.title);
+  }
+
+  const urlEntries = layout.entries.filter(({ bookmark }) => isSyncableUrl(bookmark.url, folderId));
+
+  const newWindow = await browser.windows.create();
+  unsyncedOpenedWindowIds.add(newWindow.id);
+  if (urlEntries.length === 0) {
+    return newWindow;
+  }
+
+  const initialTabs = await browser.tabs.query({ windowId: newWindow.id });
+  await createTabsFromEntries(newWindow.id, folderId, layout, urlEntries, 1, urlEntries[0]);
+  if (initialTabs[0]) {
+    await issueTabRemove(initialTabs[0].id);
+  }
+
+  return newWindow;
+}
+
+// ============================================================================
+// Automatic Groups
+// ============================================================================
+
+// Placeholders in the automatic group title template, and what each is replaced with
+const AUTO_GROUP_TITLE_FIELDS = {
+  date: () => formatDate(new Date()),
+  time: () => new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }),
+  domain: (tabs) => {
+    const tab = tabs.find(t => isSyncableUrl(t.url));
+    if (!tab) return '';
+    try {
+      return new URL(getSyncUrl(tab.url)).hostname.replace(/^www\./, '');
+    } catch (error) {
+      return '';
+    }
+  }
+};
+
+/**
+ * Title an automatic group from the template and its window's tabs. Placeholders
+ * that come out empty (no website open yet) take their separators with them.
+ */
+function formatAutoGroupTitle(template, tabs) {
+  const title = template
+    .replace(/\{(\w+)\}/g, (placeholder, field) =>
+      AUTO_GROUP_TITLE_FIELDS[field] ? AUTO_GROUP_TITLE_FIELDS[field](tabs) : placeholder
+    )
+    .replace(/\s+/g, ' ')
+    .replace(/^[\s\-–—:|·,]+|[\s\-–—:|·,]+$/g, '');
+  return title || AUTO_GROUP_FALLBACK_TITLE;
+}
+
+/**
+ * Give a new window its own group, if automatic grouping is on. Windows that
+ * were re-attached to (or offered for) their old group, windows the extension
+ * opened unsynced and windows restored with the browser are left alone.
+ */
+async function autoGroupNewWindow(windowId) {
+  if (!settings.autoGroupNewWindows) return;
+  if (windowMappings[windowId] || unsyncedOpenedWindowIds.has(windowId)) return;
+  if (pendingReattachments.some(p => p.windowId === windowId)) return;
+  if (Date.now() < startupWindowsUntil) return;
+
+  let tabs;
+  try {
+    tabs = await browser.tabs.query({ windowId });
+  } catch (error) {
+    return; // The window was already closed
+  }
+
+  const folder = await createFolderForWindow(windowId, formatAutoGroupTitle(settings.autoGroupTitleTemplate, tabs));
+  autoGroupFolders[folder.id] = Date.now();
+  await browser.storage.local.set({ [AUTO_GROUP_FOLDERS_KEY]: autoGroupFolders });
+  console.log('Gave new window', windowId, 'the group', folder.title);
+}
+
+/**
+ * When an automatic group's window closes, delete its folder if nothing was
+ * ever saved to it. Either way it's an ordinary group from then on.
+ */
+async function cleanUpAutoGroup(folderId) {
+  if (!autoGroupFolders[folderId]) return;
+
+  delete autoGroupFolders[folderId];
+  await browser.storage.local.set({ [AUTO_GROUP_FOLDERS_KEY]: autoGroupFolders });
+
+  let children;
+  try {
+    children = await browser.bookmarks.getChildren(folderId);
+  } catch (error) {
+    return; // Already deleted
+  }
+
+  if (children.length === 0) {
+    console.log('Removing empty automatic group', folderId);
+    await deleteGroup(folderId);
+  }
+}
+
+// ============================================================================
+// Containers
+// ============================================================================
+
+/**
+ * Get the tab creation option that opens a folder's tabs in its container
+ */
+function getContainerOption(folderId) {
+  return folderContainers[folderId] ? { cookieStoreId: folderContainers[folderId] } : {};
+}
+
+/**
+ * Find the synced tabs that aren't in the folder's container (none if it has no container)
+ */
+function getContainerMismatches(tabs, folderId) {
+  const cookieStoreId = folderContainers[folderId];
+  if (!cookieStoreId) return [];
+
+  return tabs.filter(tab => tab.cookieStoreId !== cookieStoreId && isSyncableUrl(tab.url, folderId));
+}
+
+/**
+ * Set (or clear, with null) the container a folder's tabs open in. If the folder
+ * is open, its tabs are checked against the new container straight away.
+ */
+async function setFolderContainer(folderId, cookieStoreId) {
+  if (cookieStoreId) {
+    folderContainers[folderId] = cookieStoreId;
+  } else {
+    delete folderContainers[folderId];
+  }
+  await browser.storage.local.set({ [FOLDER_CONTAINERS_KEY]: folderContainers });
+
+  const windowId = getFolderWindowId(folderId);
+  if (windowId !== null) {
+    await syncNow(windowId, SYNC_TABS_TO_BOOKMARKS);
+    await updateWindowIndicator(windowId);
+  }
+}
+
+/**
+ * Reopen a synced window's tabs that are outside its folder's container in the
+ * container, once any sync running for the window is done
+ */
+function reopenTabsInContainer(windowId) {
+  windowId = parseInt(windowId);
+  return runInSyncQueue(windowId, () => reopenMismatchedTabs(windowId));
+}
+
+/**
+ * Reopen the tabs outside the folder's container right away, for callers
+ * already holding the window's sync queue. Each new tab takes the old tab's
+ * place, group and bookmark.
+ */
+async function reopenMismatchedTabs(windowId) {
+  const mapping = windowMappings[windowId];
+  if (!mapping) return;
+
+  const tabs = await browser.tabs.query({ windowId });
+  const mismatches = getContainerMismatches(tabs, mapping.folderId);
+
+  // Reader-mode and view-source tabs reopen as the page they show, since tabs
+  // can't be created with those URLs. A tab that can't be reopened is left as
+  // it is, so it doesn't hold up the others or the sync.
+  for (const tab of mismatches) {
+    try {
+      const newTab = await issueTabCreate({
+        windowId,
+        url: getSyncUrl(tab.url, mapping.folderId) || tab.url,
+        index: tab.index,
+        active: tab.active,
+        pinned: tab.pinned,
+        ...getContainerOption(mapping.folderId)
+      });
+
+      if (tab.groupId !== undefined && tab.groupId !== -1) {
+        await issueTabsGroup({ tabIds: [newTab.id], groupId: tab.groupId });
+      }
+
+      if (tabBookmarkBindings[tab.id]) {
+        bindTab(newTab.id, tabBookmarkBindings[tab.id]);
+        unbindTab(tab.id);
+      }
+      await issueTabRemove(tab.id);
+    } catch (error) {
+      console.error('Failed to reopen tab in its container:', tab.url, error);
+    }
+  }
+
+  if (mismatches.length > 0) {
+    await saveTabBindings();
+    await updateWindowIndicator(windowId);
+  }
+}
+
+/**
+ * Forget container assignments for a container that was deleted
+ */
+async function handleContainerRemoved(cookieStoreId) {
+  let changed = false;
+  for (const folderId in folderContainers) {
+    if (folderContainers[folderId] === cookieStoreId) {
+      delete folderContainers[folderId];
+      changed = true;
+    }
+  }
+
+  if (changed) {
+    await browser.storage.local.set({ [FOLDER_CONTAINERS_KEY]: folderContainers });
+  }
+}
+
+// ============================================================================
+// Import / Export
+// ============================================================================
+
+/**
+ * List every folder the extension knows as a group: synced, recently used or detached
+ */
+async function getKnownGroups() {
+  const folderIds = new Set([
+    ...Object.values(windowMappings).map(m => m.folderId),
+    ...Object.keys(folderLastUsed),
+    ...Object.keys(detachedMappings)
+  ]);
+
+  const groups = [];
+  for (const folderId of folderIds) {
+    try {
+      const [folder] = await browser.bookmarks.get(folderId);
+      groups.push({ folderId, title: folder.title, lastUsed: folderLastUsed[folderId] || null });
+    } catch (error) {
+      // Folder was deleted
+    }
+  }
+
+  groups.sort((a, b) => (b.lastUsed || 0) - (a.lastUsed || 0));
+  return groups;
+}
+
+/**
+ * Collect groups for export: title, last used time and ordered tabs with pinned state
+ */
+async function exportGroups(folderIds) {
+  const groups = [];
+  for (const folderId of folderIds) {
+    const [folder] = await browser.bookmarks.get(folderId);
+    const layout = await getFolderLayout(folderId);
+
+    groups.push({
+      title: folder.title,
+      lastUsed: folderLastUsed[folderId] || null,
+      tabs: getPinnedItems(layout)
+    });
+  }
+  return groups;
+}
+
+/**
+ * Create a new folder for each imported group, optionally opening each in a new window
+ */
+async function importGroups(groups, openAfterImport) {
+  const folders = [];
+  for (const group of groups) {
+    const folder = await createGroupFolder(group.title);
+
+    await writeFolderItems(folder.id, group.tabs, []);
+
+    if (group.lastUsed) {
+      folderLastUsed[folder.id] = group.lastUsed;
+      await browser.storage.local.set({ [FOLDER_LAST_USED_KEY]: folderLastUsed });
+    }
+
+    folders.push(folder);
+  }
+
+  if (openAfterImport) {
+    for (const folder of folders) {
+      await openFolderAsNewWindow(folder.id, folder.title);
+    }
+  }
+
+  return folders;
+}
+
+// ============================================================================
+// Window Indicators
+// ============================================================================
+
+/**
+ * Show a window's group on its toolbar badge, button tooltip and title bar.
+ * Synced windows get the tab count as badge and the folder title as title prefix.
+ */
+async function updateWindowIndicator(windowId) {
+  const mapping = windowMappings[windowId];
+
+  try {
+    const tabs = await browser.tabs.query({ windowId });
+    const tabCount = `${tabs.length} tab${tabs.length === 1 ? '' : 's'}`;
+    const mismatchCount = mapping ? getContainerMismatches(tabs, mapping.folderId).length : 0;
+
+    let title = mapping
+      ? `Tab Group Bookmarks: synced to "${mapping.folderTitle}" (${tabCount})`
+      : `Tab Group Bookmarks: not synced (${tabCount})`;
+    if (mismatchCount > 0) {
+      title += `, ${mismatchCount} outside the group's container`;
+    }
+    await browser.browserAction.setTitle({ windowId, title });
+
+    // A running restore shows its progress on the badge instead
+    if (!restoreProgress[windowId]) {
+      await browser.browserAction.setBadgeText({ windowId, text: mapping ? String(tabs.length) : '' });
+      await browser.browserAction.setBadgeBackgroundColor({ windowId, color: mismatchCount > 0 ? '#d97706' : '#0066cc' });
+    }
+
+    await browser.windows.update(windowId, { titlePreface: mapping ? `[${mapping.folderTitle}] ` : '' });
+  } catch (error) {
+    // The window was closed in the meantime
+    console.log('Could not update indicator for window', windowId, error.message);
+  }
+}
+
+/**
+ * Update the indicators of every open window
+ */
+async function updateAllWindowIndicators() {
+  const windows = await browser.windows.getAll({ windowTypes: ['normal'] });
+  for (const win of windows) {
+    await updateWindowIndicator(win.id);
+  }
+}
+
+// ============================================================================
+// Synced Folder Changes
+// ============================================================================
+
+/**
+ * Pick up a new title for a synced (or recently closed) folder and show it on its window
+ */
+async function handleSyncedFolderRenamed(folderId, folderTitle) {
+  const windowId = getFolderWindowId(folderId);
+  if (windowId !== null && windowMappings[windowId].folderTitle !== folderTitle) {
+    windowMappings[windowId].folderTitle = folderTitle;
+    await saveWindowMappings();
+    await updateWindowIndicator(windowId);
+  }
+
+  if (detachedMappings[folderId]) {
+    detachedMappings[folderId].folderTitle = folderTitle;
+    await saveDetachedMappings();
+  }
+}
+
+/**
+ * Find the synced folders in a removed bookmark subtree (the removed node itself
+ * or any folder below it)
+ */
+function findSyncedFoldersInTree(node) {
+  const folderIds = [];
+  if (getFolderWindowId(node.id) !== null) {
+    folderIds.push(node.id);
+  }
+  for (const child of node.children || []) {
+    folderIds.push(...findSyncedFoldersInTree(child));
+  }
+  return folderIds;
+}
+
+/**
+ * Get the IDs of a removed bookmark and everything below it
+ */
+function getBookmarkTreeIds(node) {
+  return [node.id, ...(node.children || []).flatMap(getBookmarkTreeIds)];
+}
+
+/**
+ * Carry a folder's settings and history over to the folder replacing it.
+ * State naming the old folder's bookmarks is dropped, since they are gone.
+ */
+async function transferFolderState(oldFolderId, newFolderId) {
+  const stores = [folderSyncModes, folderContainers, templateFolders, folderLastUsed, folderSnapshots, urlRules.groups, autoGroupFolders];
+  for (const store of stores) {
+    if (store[oldFolderId] !== undefined) {
+      store[newFolderId] = store[oldFolderId];
+      delete store[oldFolderId];
+    }
+  }
+  delete lastActiveBookmarks[oldFolderId];
+  delete pinnedTabsByFolder[oldFolderId];
+
+  await browser.storage.local.set({
+    [FOLDER_SYNC_MODES_KEY]: folderSyncModes,
+    [FOLDER_CONTAINERS_KEY]: folderContainers,
+    [TEMPLATES_KEY]: templateFolders,
+    [FOLDER_LAST_USED_KEY]: folderLastUsed,
+    [SNAPSHOTS_KEY]: folderSnapshots,
+    [URL_RULES_KEY]: urlRules,
+    [AUTO_GROUP_FOLDERS_KEY]: autoGroupFolders,
+    [LAST_ACTIVE_KEY]: lastActiveBookmarks
+  });
+  await savePinnedTabs();
+}
+
+/**
+ * A synced folder was deleted out from under its window. Depending on the
+ * folderDeleted setting, either recreate it from the window's tabs or unsync
+ * the window; either way, tell the user.
+ */
+async function handleSyncedFolderDeleted(folderId, parentId) {
+  const windowId = getFolderWindowId(folderId);
+  if (windowId === null) return;
+  const mapping = windowMappings[windowId];
+
+  if (settings.folderDeleted !== 'recreate') {
+    await disassociateWindow(windowId);
+    await notify(
+      'Synced folder deleted',
+      `The bookmark folder "${mapping.folderTitle}" was deleted, so its window is no longer synced. Its tabs are still open.`
+    );
+    return;
+  }
+
+  // Put the new folder where the old one was, if that parent still exists
+  let folder;
+  try {
+    folder = await browser.bookmarks.create({ ...(parentId ? { parentId } : {}), title: mapping.folderTitle, type: 'folder' });
+  } catch (error) {
+    folder = await createGroupFolder(mapping.folderTitle);
+  }
+
+  // Capture the window while its mapping still names the old folder, whose URL
+  // rules decide which tabs are saved
+  const state = await captureWindowState(windowId);
+  await transferFolderState(folderId, folder.id);
+
+  // Write the window's tabs into the new folder, then point the window at it
+  await writeFolderItems(folder.id, state.items, state.pinned);
+
+  removeWindowMapping(windowId);
+  setWindowMapping(windowId, { ...createMapping(folder.id, mapping.folderTitle), syncMode: getSyncMode(mapping) });
+  await saveWindowMappings();
+  await syncNow(windowId, getSyncMode(mapping) === SYNC_MODE_READ_ONLY ? SYNC_BOOKMARKS_TO_TABS : SYNC_TABS_TO_BOOKMARKS);
+
+  await notify(
+    'Synced folder recreated',
+    `The bookmark folder "${mapping.folderTitle}" was deleted while its window was open, so it was recreated from the window's tabs.`
+  );
+}
+
+/**
+ * Show a desktop notification
+ */
+async function notify(title, message) {
+  await browser.notifications.create({
+    type: 'basic',
+    iconUrl: browser.runtime.getURL('icons/icon-96.png'),
+    title,
+    message
+  });
+}
+
+// ============================================================================
+// Stash and Move to Group
+// ============================================================================
+
+/**
+ * Save a window's tabs to its folder and close it. An unsynced window is
+ * first given a new folder named after the current date and time.
+ * Any queued sync runs first, and the final tabs-to-bookmarks sync finishes
+ * before the window closes, so nothing still pending is lost.
+ */
+async function stashWindow(windowId) {
+  // Tabs not created yet would be removed from the folder
+  if (restoreProgress[windowId]) {
+    throw new Error('This window\'s group is still being restored; try again when it has finished');
+  }
+
+  // The window only closes once its tabs are saved; a failed save throws first
+  if (!windowMappings[windowId]) {
+    await createFolderForWindow(windowId, `Stashed ${new Date().toLocaleString()}`);
+  } else {
+    await syncNow(windowId, SYNC_TABS_TO_BOOKMARKS);
+  }
+
+  await browser.windows.remove(windowId);
+}
+
+/**
+ * Move tabs into a group. If the group's window is open the tabs move there;
+ * otherwise each tab is written to the folder as a bookmark and closed.
+ * Tabs whose URL the group doesn't sync are left open.
+ */
+async function moveTabsToGroup(tabs, folderId) {
+  const targetWindowId = getFolderWindowId(folderId);
+  tabs = tabs.filter(tab => tab.windowId !== targetWindowId);
+  if (tabs.length === 0) return;
+
+  if (targetWindowId !== null) {
+    // Tabs take their bookmarks along and stay bound to them; the others start
+    // out unbound, and the group's sync saves them
+    for (const tab of tabs) {
+      if (!(await moveTabBookmark(tab, folderId))) {
+        unbindTab(tab.id);
+      }
+    }
+    await saveTabBindings();
+
+    await browser.tabs.move(tabs.map(tab => tab.id), { windowId: targetWindowId, index: -1 });
+  } else {
+    const movable = getSyncableTabs(tabs, folderId);
+
+    for (const tab of movable) {
+      if (await moveTabBookmark(tab, folderId)) {
+        unbindTab(tab.id);
+        continue;
+      }
+      await browser.bookmarks.create({
+        parentId: folderId,
+        title: encodeBookmarkTitle(tab.title || tab.url, { pinned: tab.pinned }),
+        url: tab.url
+      });
+    }
+    await saveTabBindings();
+
+    await browser.tabs.remove(movable.map(tab => tab.id));
+  }
+
+  await updateFolderLastUsed(folderId);
+}
+
+/**
+ * Move a tab's bookmark into another group's folder along with the tab, so its
+ * old group's next sync doesn't put it in "Recently Removed". Returns whether it
+ * moved. Read-only groups keep their bookmarks, and a bookmark the other group
+ * wouldn't sync stays behind.
+ */
+async function moveTabBookmark(tab, folderId) {
+  const mapping = windowMappings[tab.windowId];
+  const bookmarkId = tabBookmarkBindings[tab.id];
+  if (!mapping || !bookmarkId || !isSyncDirectionAllowed(mapping, SYNC_TABS_TO_BOOKMARKS)) return false;
+  if (!isSyncableUrl(tab.url, folderId)) return false;
+
+  try {
+    await issueBookmarkMove(bookmarkId, { parentId: folderId });
+    return true;
+  } catch (error) {
+    // The bookmark is gone
+    return false;
+  }
+}
+
+/**
+ * Rebuild the "Move to Group" tab menu for the tab it's being shown on
+ */
+async function updateMoveToGroupMenu(tab) {
+  await browser.menus.removeAll();
+
+  browser.menus.create({
+    id: MOVE_TO_GROUP_MENU_ID,
+    title: 'Move to Group',
+    contexts: ['tab']
+  });
+
+  const currentFolderId = windowMappings[tab.windowId]?.folderId;
+  const openFolderIds = new Set(Object.values(windowMappings).map(m => m.folderId));
+  const groups = (await getKnownGroups()).filter(group => group.folderId !== currentFolderId);
+
+  if (groups.length === 0) {
+    browser.menus.create({
+      id: `${MOVE_TO_GROUP_MENU_ID}:none`,
+      parentId: MOVE_TO_GROUP_MENU_ID,
+      title: 'No other groups',
+      enabled: false,
+      contexts: ['tab']
+    });
+  }
+
+  for (const group of groups) {
+    browser.menus.create({
+      id: `${MOVE_TO_GROUP_MENU_ID}:${group.folderId}`,
+      parentId: MOVE_TO_GROUP_MENU_ID,
+      title: openFolderIds.has(group.folderId) ? `${group.title} (open)` : group.title,
+      contexts: ['tab']
+    });
+  }
+
+  await browser.menus.refresh();
+}
+
+/**
+ * Move the clicked tab to the chosen group, along with the other selected
+ * tabs if it's part of a multi-tab selection
+ */
+async function handleMoveToGroupClicked(info, tab) {
+  const folderId = String(info.menuItemId).slice(MOVE_TO_GROUP_MENU_ID.length + 1);
+
+  const tabs = tab.highlighted
+    ? await browser.tabs.query({ windowId: tab.windowId, highlighted: true })
+    : [tab];
+
+  try {
+    await moveTabsToGroup(tabs, folderId);
+  } catch (error) {
+    console.error('Error moving tabs to group:', error);
+  }
+}
+
+// ============================================================================
+// Keyboard Commands and Omnibox
+// ============================================================================
+
+/**
+ * Focus the next (or previous) open synced window, ordered by folder title
+ */
+async function cycleSyncedWindows(step) {
+  const windowIds = Object.keys(windowMappings)
+    .sort((a, b) => windowMappings[a].folderTitle.localeCompare(windowMappings[b].folderTitle))
+    .map(wId => parseInt(wId));
+  if (windowIds.length === 0) return;
+
+  const current = await browser.windows.getLastFocused();
+  const currentIndex = windowIds.indexOf(current.id);
+  const nextIndex = currentIndex === -1
+    ? 0
+    : (currentIndex + step + windowIds.length) % windowIds.length;
+
+  await browser.windows.update(windowIds[nextIndex], { focused: true });
+}
+
+/**
+ * List every bookmark folder except the built-in roots, with its full path,
+ * the number of tabs it opens as (direct bookmarks plus those in subfolders)
+ * and the window it's open in, if any
+ */
+async function getAllBookmarkFolders() {
+  const bookmarkTree = await browser.bookmarks.getTree();
+  const folders = [];
+
+  function traverseTree(nodes, path) {
+    for (const node of nodes) {
+      if (node.type === 'folder' || (!node.url && node.children)) {
+        const isRoot = ROOT_FOLDER_IDS.has(node.id);
+        const nodePath = node.title ? [...path, node.title] : path;
+        if (!isRoot && node.title) {
+          const children = node.children || [];
+          folders.push({
+            id: node.id,
+            title: node.title,
+            path: nodePath.join(' / '),
+            parentId: node.parentId,
+            lastUsed: folderLastUsed[node.id] || 0,
+            tabCount: children.flatMap(child => child.url ? [child] : (child.children || [])).filter(child => child.url).length,
+            windowId: getFolderWindowId(node.id)
+          });
+        }
+        if (node.children) {
+          traverseTree(node.children, nodePath);
+        }
+      }
+    }
+  }
+
+  traverseTree(bookmarkTree, []);
+  return folders;
+}
+
+/**
+ * Score how well a query fuzzily matches text: -1 if the query's characters
+ * don't all appear in order, higher for prefix, word-start and consecutive matches
+ */
+function fuzzyScore(query, text) {
+  query = query.toLowerCase();
+  text = text.toLowerCase();
+  if (!query) return 0;
+
+  let score = 0;
+  let textIndex = 0;
+  let previousMatch = -2;
+  for (const char of query) {
+    const found = text.indexOf(char, textIndex);
+    if (found === -1) return -1;
+
+    score += 1;
+    if (found === previousMatch + 1) score += 2;
+    if (found === 0 || /[\s\-_/.]/.test(text[found - 1])) score += 3;
+
+    previousMatch = found;
+    textIndex = found + 1;
+  }
+
+  if (text.startsWith(query)) score += 5;
+  return score;
+}
+
+/**
+ * Rank folders against a query: groups in the group root folder first, then by
+ * fuzzy score, then by last used. The query is matched against the full path,
+ * but a match in the folder's own title ranks higher.
+ */
+async function searchFolders(query) {
+  query = query.trim();
+  const rootFolderId = settings.groupRootFolderId;
+  const folders = await getAllBookmarkFolders();
+  return folders
+    .map(folder => {
+      const titleScore = fuzzyScore(query, folder.title);
+      const score = titleScore >= 0 ? titleScore + TITLE_MATCH_BONUS : fuzzyScore(query, folder.path);
+      return { ...folder, score, inGroupRoot: Boolean(rootFolderId) && folder.parentId === rootFolderId };
+    })
+    .filter(folder => folder.score >= 0)
+    .sort((a, b) => b.inGroupRoot - a.inGroupRoot || b.score - a.score || b.lastUsed - a.lastUsed);
+}
+
+/**
+ * Escape text for omnibox suggestion descriptions, which are parsed as XML
+ */
+function escapeOmniboxText(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// ============================================================================
+// Dashboard
+// ============================================================================
+
+/**
+ * Describe every known group for the sidebar: where it's open, how many tabs
+ * and pinned tabs it has, and when it was last used
+ */
+async function getDashboardGroups() {
+  const groups = await getKnownGroups();
+
+  for (const group of groups) {
+    group.windowId = getFolderWindowId(group.folderId);
+
+    if (group.windowId !== null) {
+      const tabs = await browser.tabs.query({ windowId: group.windowId });
+      group.tabCount = tabs.length;
+      group.pinnedCount = tabs.filter(tab => tab.pinned).length;
+    } else {
+      const layout = await getFolderLayout(group.folderId);
+      group.tabCount = layout.entries.length;
+      group.pinnedCount = layout.entries.filter(entry => entry.pinned).length;
+    }
+  }
+
+  return groups;
+}
+
+/**
+ * Rename a group's folder (its window picks up the new title from the bookmark event)
+ */
+async function renameGroup(folderId, title) {
+  await browser.bookmarks.update(folderId, { title });
+}
+
+/**
+ * Stop syncing the window a group is open in; the window stays open
+ */
+async function unsyncGroup(folderId) {
+  for (const windowId in windowMappings) {
+    if (windowMappings[windowId].folderId === folderId) {
+      await disassociateWindow(parseInt(windowId));
+    }
+  }
+}
+
+/**
+ * Delete a group's folder and everything the extension remembers about it.
+ * A window it's open in stays open, unsynced.
+ */
+async function deleteGroup(folderId) {
+  await unsyncGroup(folderId);
+  await browser.bookmarks.removeTree(folderId);
+
+  delete folderLastUsed[folderId];
+  delete detachedMappings[folderId];
+  delete lastActiveBookmarks[folderId];
+  delete folderSyncModes[folderId];
+  delete templateFolders[folderId];
+  delete folderContainers[folderId];
+  delete autoGroupFolders[folderId];
+  delete folderSnapshots[folderId];
+  delete urlRules.groups[folderId];
+  delete pinnedTabsByFolder[folderId];
+  pendingReattachments = pendingReattachments.filter(p => p.folderId !== folderId);
+  await browser.storage.local.set({
+    [FOLDER_LAST_USED_KEY]: folderLastUsed,
+    [LAST_ACTIVE_KEY]: lastActiveBookmarks,
+    [FOLDER_SYNC_MODES_KEY]: folderSyncModes,
+    [TEMPLATES_KEY]: templateFolders,
+    [FOLDER_CONTAINERS_KEY]: folderContainers,
+    [AUTO_GROUP_FOLDERS_KEY]: autoGroupFolders,
+    [SNAPSHOTS_KEY]: folderSnapshots,
+    [URL_RULES_KEY]: urlRules
+  });
+  await savePinnedTabs();
+  await saveDetachedMappings();
+  await savePendingReattachments();
+  notifyGroupsChanged();
+}
+
+// ============================================================================
+// Verify and Repair
+// ============================================================================
+
+/**
+ * Read a synced window and its folder and diff them, without changing anything
+ */
+async function readWindowDiff(windowId) {
+  const mapping = windowMappings[windowId];
+  if (!mapping) {
+    throw new Error('This window is not synced');
+  }
+
+  const tabs = await browser.tabs.query({ windowId });
+  const groups = await browser.tabGroups.query({ windowId });
+  const layout = await getFolderLayout(mapping.folderId);
+  const entries = layout.entries.filter(({ bookmark }) => isSyncableUrl(bookmark.url, mapping.folderId));
+  const diff = computeSyncDiff(getSyncableTabs(tabs, mapping.folderId), entries, tabBookmarkBindings, groups);
+
+  return { windowId, mapping, groups, layout, entries, diff };
+}
+
+/**
+ * Flatten a diff into individual changes. Keys name the tab and/or bookmark
+ * involved, so a change can be found again in a freshly computed diff.
+ */
+function listDiffChanges(diff) {
+  const byKind = {
+    tabMissing: diff.tabsMissingFromFolder.map(tab => ({ tab, entry: null })),
+    bookmarkMissing: diff.bookmarksMissingFromWindow.map(entry => ({ tab: null, entry })),
+    url: diff.urlDrift,
+    title: diff.titleDrift,
+    pinned: diff.pinnedMismatches,
+    group: diff.groupMismatches,
+    order: diff.orderMismatches
+  };
+
+  return DIFF_CHANGE_KINDS.flatMap(kind => byKind[kind].map(({ tab, entry }) => ({
+    key: `${kind}:${tab ? tab.id : ''}:${entry ? entry.bookmark.id : ''}`,
+    kind,
+    tab,
+    entry
+  })));
+}
+
+/**
+ * Describe how a matched tab and bookmark differ, for the popup
+ */
+function describeDiffChange({ kind, tab, entry }, groupTitles) {
+  switch (kind) {
+    case 'title':
+      return `Tab: "${tab.title}" · Bookmark: "${entry.title}"`;
+    case 'url':
+      return `Tab: ${tab.url} · Bookmark: ${entry.bookmark.url}`;
+    case 'pinned':
+      return tab.pinned ? 'The tab is pinned, the bookmark is not' : 'The bookmark is pinned, the tab is not';
+    case 'group':
+      return `Tab group: ${groupTitles.get(tab.groupId) || 'none'} · Folder: ${entry.groupFolder ? entry.groupFolder.title : 'none'}`;
+    case 'order':
+      return `Tab ${tab.index + 1} in the window`;
+    default:
+      return (tab || entry.bookmark).url;
+  }
+}
+
+/**
+ * Compute what differs between a synced window and its folder, with no side
+ * effects. Returns the changes and the sides the group's sync mode lets them be
+ * applied to. A tab's title can't be set, so title drift only applies to the folder.
+ */
+async function verifyWindow(windowId) {
+  windowId = parseInt(windowId);
+
+  const { mapping, groups, diff } = await runInSyncQueue(windowId, () => readWindowDiff(windowId));
+  const groupTitles = new Map(groups.map(group => [group.id, getGroupTitle(group)]));
+
+  const changes = listDiffChanges(diff).map(change => ({
+    key: change.key,
+    kind: change.kind,
+    title: (change.entry && change.entry.title) || (change.tab && change.tab.title) || (change.tab || change.entry.bookmark).url,
+    detail: describeDiffChange(change, groupTitles),
+    directions: change.kind === 'title' ? [REPAIR_TO_FOLDER] : [REPAIR_TO_FOLDER, REPAIR_TO_WINDOW]
+  }));
+
+  const directions = [REPAIR_TO_FOLDER, REPAIR_TO_WINDOW].filter(direction =>
+    isSyncDirectionAllowed(mapping, REPAIR_SYNC_DIRECTIONS[direction])
+  );
+
+  return { changes, directions };
+}
+
+/**
+ * Apply a window's differences to one side: the folder follows the window, or
+ * the window follows the folder. Without keys the whole diff is applied, which
+ * is exactly a full sync in that direction; otherwise only the listed changes.
+ */
+async function repairWindow(windowId, direction, keys = null) {
+  windowId = parseInt(windowId);
+  const mapping = windowMappings[windowId];
+  if (!mapping) {
+    throw new Error('This window is not synced');
+  }
+
+  const syncDirection = REPAIR_SYNC_DIRECTIONS[direction];
+  if (!syncDirection) {
+    throw new Error(`Unknown repair direction: ${direction}`);
+  }
+  if (!isSyncDirectionAllowed(mapping, syncDirection)) {
+    throw new Error(`This group's sync mode doesn't change its ${direction}`);
+  }
+
+  if (!keys) {
+    return syncNow(windowId, syncDirection);
+  }
+
+  await runInSyncQueue(windowId, () => applyDiffChanges(windowId, direction, keys));
+
+  await updateWindowIndicator(windowId);
+}
+
+/**
+ * Apply some of a window's differences, by key, to one side
+ */
+async function applyDiffChanges(windowId, direction, keys) {
+  // Apply one change at a time against a fresh diff, since each one shifts the
+  // indexes the next relies on. Changes that no longer apply are skipped.
+  const selectedKeys = DIFF_CHANGE_KINDS.flatMap(kind => keys.filter(key => key.startsWith(`${kind}:`)));
+  for (const key of selectedKeys) {
+    const state = await readWindowDiff(windowId);
+    const change = listDiffChanges(state.diff).find(candidate => candidate.key === key);
+    if (!change) continue;
+
+    if (direction === REPAIR_TO_FOLDER) {
+      await applyChangeToFolder(state, change);
+    } else {
+      await applyChangeToWindow(state, change);
+    }
+  }
+
+  await saveTabBindings();
+  await saveGroupBindings();
+}
+
+/**
+ * Apply to a window only the differences that come from bookmarks changed in
+ * its folder: added, removed, moved or edited bookmarks and renamed subfolders.
+ * Used before saving the window to the folder when both sides changed.
+ * A tab's title can't be set, so title changes are left to the folder.
+ */
+async function applyBookmarkChangesToWindow(windowId, bookmarkIds) {
+  if (bookmarkIds.size === 0) return;
+
+  const { diff } = await readWindowDiff(windowId);
+  const keys = listDiffChanges(diff)
+    .filter(({ kind, tab, entry }) => {
+      if (kind === 'title') return false;
+      if (!entry) return bookmarkIds.has(tabBookmarkBindings[tab.id]);
+      return bookmarkIds.has(entry.bookmark.id) || Boolean(entry.groupFolder && bookmarkIds.has(entry.groupFolder.id));
+    })
+    .map(change => change.key);
+
+  await applyDiffChanges(windowId, REPAIR_TO_WINDOW, keys);
+}
+
+/**
+ * Get the subfolder a tab's group is kept in (by binding, then by title),
+ * creating it if needed. Ungrouped tabs belong at the top of the folder.
+ */
+async function getTabParentFolderId({ mapping, groups, layout }, tab) {
+  const group = groups.find(candidate => candidate.id === tab.groupId);
+  if (!group) return mapping.folderId;
+
+  const title = getGroupTitle(group);
+  let folder = layout.subfolders.find(subfolder => subfolder.id === groupFolderBindings[group.id]) ||
+    layout.subfolders.find(subfolder => subfolder.title === title);
+  if (!folder) {
+    folder = await issueBookmarkCreate({ parentId: mapping.folderId, title });
+  }
 
-  console.log('Tab Group Bookmarks initialized');
-  console.log('Window mappings:', windowMappings);
-  console.log('Pinned tabs by folder:', pinnedTabsByFolder);
+  bindGroup(group.id, folder.id);
+  return folder.id;
 }
 
 /**
- * Save window mappings to storage
+ * Get the index in a folder just after the closest earlier tab's bookmark there
+ * (or its group's subfolder, at the top level). A bookmark moving down within
+ * the folder lands one place earlier, since it leaves its old place first.
  */
-async function saveWindowMappings() {
-  await browser.storage.local.set({ [STORAGE_KEY]: windowMappings });
+function getBookmarkIndexAfterTab({ diff }, tab, parentId, movingBookmark = null) {
+  const previous = diff.matches
+    .filter(({ tab: other }) => other.index < tab.index)
+    .map(({ entry }) => {
+      if (entry.bookmark.parentId === parentId) return entry.bookmark;
+      return entry.groupFolder && entry.groupFolder.parentId === parentId ? entry.groupFolder : null;
+    })
+    .filter(node => node && (!movingBookmark || node.id !== movingBookmark.id))
+    .pop();
+  if (!previous) return 0;
+
+  const index = previous.index + 1;
+  const movingDown = movingBookmark && movingBookmark.parentId === parentId && movingBookmark.index < index;
+  return movingDown ? index - 1 : index;
 }
 
 /**
- * Save pinned tabs to storage
+ * Get the window index just after the tab of the closest earlier bookmark.
+ * A tab moving right lands one place earlier, since it leaves its old place first.
  */
-async function savePinnedTabs() {
-  // Convert Sets to arrays for storage
-  const pinnedData = {};
-  for (const folderId in pinnedTabsByFolder) {
-    pinnedData[folderId] = Array.from(pinnedTabsByFolder[folderId]);
-  }
-  await browser.storage.local.set({ [PINNED_TABS_KEY]: pinnedData });
+function getTabIndexAfterEntry({ diff, entries }, entry, movingTab = null) {
+  const tabsByBookmarkId = new Map(diff.matches.map(match => [match.entry.bookmark.id, match.tab]));
+  const previous = entries
+    .slice(0, entries.indexOf(entry))
+    .map(earlier => tabsByBookmarkId.get(earlier.bookmark.id))
+    .filter(tab => tab && (!movingTab || tab.id !== movingTab.id))
+    .pop();
+  if (!previous) return 0;
+
+  return movingTab && movingTab.index < previous.index ? previous.index : previous.index + 1;
 }
 
 /**
- * Update last used timestamp for a folder
+ * Make the folder follow the window for one change
  */
-async function updateFolderLastUsed(folderId) {
-  folderLastUsed[folderId] = Date.now();
-  await browser.storage.local.set({ [FOLDER_LAST_USED_KEY]: folderLastUsed });
-  console.log('Updated last used for folder', folderId);
+async function applyChangeToFolder(state, { kind, tab, entry }) {
+  const { windowId, mapping } = state;
+
+  switch (kind) {
+    case 'tabMissing': {
+      const parentId = await getTabParentFolderId(state, tab);
+      const bookmark = await issueBookmarkCreate({
+        parentId,
+        title: encodeBookmarkTitle(tab.title, { pinned: tab.pinned }),
+        url: tab.url,
+        index: getBookmarkIndexAfterTab(state, tab, parentId)
+      });
+      bindTab(tab.id, bookmark.id);
+      break;
+    }
+    case 'bookmarkMissing':
+      await issueBookmarkRemove(entry.bookmark.id);
+      await addToTrash([{
+        kind: 'bookmark',
+        url: entry.bookmark.url,
+        title: entry.title,
+        index: entry.bookmark.index,
+        pinned: entry.pinned,
+        folderId: mapping.folderId,
+        folderTitle: mapping.folderTitle,
+        groupFolderId: entry.groupFolder ? entry.groupFolder.id : null,
+        windowId
+      }]);
+      break;
+    case 'url':
+      await issueBookmarkUpdate(entry.bookmark.id, { url: tab.url });
+      break;
+    case 'title':
+    case 'pinned': {
+      const title = kind === 'title' ? tab.title : entry.title;
+      const pinned = kind === 'pinned' ? tab.pinned : entry.pinned;
+      await issueBookmarkUpdate(entry.bookmark.id, {
+        title: encodeBookmarkTitle(title, { ...(entry.metadata || {}), pinned })
+      });
+      break;
+    }
+    case 'group': {
+      const parentId = await getTabParentFolderId(state, tab);
+      await issueBookmarkMove(entry.bookmark.id, {
+        parentId,
+        index: getBookmarkIndexAfterTab(state, tab, parentId, entry.bookmark)
+      });
+      break;
+    }
+    case 'order':
+      await issueBookmarkMove(entry.bookmark.id, {
+        parentId: entry.bookmark.parentId,
+        index: getBookmarkIndexAfterTab(state, tab, entry.bookmark.parentId, entry.bookmark)
+      });
+      break;
+  }
 }
 
 /**
- * Associate a window with a bookmark folder
+ * Make the window follow the folder for one change
  */
-async function associateWindowWithFolder(windowId, folderId, folderTitle) {
-  windowMappings[windowId] = { folderId, folderTitle };
-  await saveWindowMappings();
+async function applyChangeToWindow(state, { kind, tab, entry }) {
+  const { windowId, mapping } = state;
 
-  // Update last used timestamp
-  await updateFolderLastUsed(folderId);
+  // Put a tab in the tab group for a subfolder, creating the group if needed
+  const groupIntoFolder = (tabId, currentGroupId) => applySubfolderGroups(
+    windowId,
+    [entry.groupFolder],
+    new Map([[entry.groupFolder.id, [tabId]]]),
+    new Map([[tabId, currentGroupId ?? -1]])
+  );
 
-  // Initial sync: populate bookmarks with current tabs
-  await syncTabsToBookmarks(windowId);
+  switch (kind) {
+    case 'tabMissing':
+      unbindTab(tab.id);
+      await issueTabRemove(tab.id);
+      await addToTrash([{
+        kind: 'tab',
+        url: tab.url,
+        title: tab.title,
+        index: tab.index,
+        pinned: tab.pinned,
+        folderId: mapping.folderId,
+        folderTitle: mapping.folderTitle,
+        groupFolderId: groupFolderBindings[tab.groupId] || null,
+        windowId
+      }]);
+      break;
+    case 'bookmarkMissing': {
+      // Unloaded until selected unless it is pinned, like tabs opened by sync
+      const newTab = await issueTabCreate({
+        windowId,
+        url: entry.bookmark.url,
+        active: false,
+        pinned: entry.pinned,
+        ...getContainerOption(mapping.folderId),
+        ...(entry.pinned ? {} : { discarded: true, title: entry.title }),
+        index: getTabIndexAfterEntry(state, entry)
+      });
+      bindTab(newTab.id, entry.bookmark.id);
+      if (entry.groupFolder && !entry.pinned) {
+        await groupIntoFolder(newTab.id, -1);
+      }
+      break;
+    }
+    case 'url':
+      await issueTabUpdate(tab.id, { url: entry.bookmark.url });
+      break;
+    case 'pinned':
+      await issueTabUpdate(tab.id, { pinned: entry.pinned });
+      break;
+    case 'group':
+      if (entry.groupFolder) {
+        await groupIntoFolder(tab.id, tab.groupId);
+      } else {
+        await issueTabsUngroup([tab.id]);
+      }
+      break;
+    case 'order':
+      await issueTabMove(tab.id, { windowId, index: getTabIndexAfterEntry(state, entry, tab) });
+      break;
+  }
 }
 
+// ============================================================================
+// Merge and Split
+// ============================================================================
+
 /**
- * Create a new bookmark folder and associate it with a window
+ * Run a task while holding the sync queues of several windows, so none of them
+ * syncs until the task is done
  */
-async function createFolderForWindow(windowId, folderTitle) {
-  const folder = await browser.bookmarks.create({
-    title: folderTitle,
-    type: 'folder'
-  });
-
-  await associateWindowWithFolder(windowId, folder.id, folderTitle);
-  return folder;
+function runInSyncQueues(windowIds, task) {
+  return windowIds.reduceRight((inner, windowId) => () => runInSyncQueue(windowId, inner), task)();
 }
 
 /**
- * Disassociate a window from its bookmark folder
+ * Write pinned state into the titles of bookmarks about to change folder.
+ * Pinned state kept in pinnedTabsByFolder only applies to the folder it was
+ * saved for, so it has to travel in the bookmark itself.
  */
-async function disassociateWindow(windowId) {
-  delete windowMappings[windowId];
-  await saveWindowMappings();
+async function writePinnedMetadata(entries) {
+  for (const entry of entries) {
+    if (entry.pinned && !entry.metadata?.pinned) {
+      entry.metadata = { ...entry.metadata, pinned: true };
+      await issueBookmarkUpdate(entry.bookmark.id, { title: encodeBookmarkTitle(entry.title, entry.metadata) });
+    }
+  }
 }
 
 /**
- * Open a bookmark folder as a new window with syncing enabled
+ * Merge one group into another, which survives. The surviving group keeps its
+ * bookmarks where they are and gains the other group's after them: tab group
+ * subfolders with the same title are combined, others move over whole, and a
+ * bookmark whose URL the surviving group already has is dropped to the trash,
+ * passing its pinned state on to the copy that's kept. If the merged group is
+ * open, its tabs join the surviving group's window, or its window switches to
+ * the surviving group if that isn't open. Neither window syncs until the merge
+ * is done, and the merged group's folder is deleted.
  */
-async function openFolderAsNewWindow(folderId, folderTitle) {
-  // Get all bookmarks in the folder
-  const bookmarkTree = await browser.bookmarks.getSubTree(folderId);
-  const bookmarks = bookmarkTree[0].children || [];
+async function mergeGroups(sourceFolderId, targetFolderId) {
+  if (sourceFolderId === targetFolderId) {
+    throw new Error("A group can't be merged into itself");
+  }
 
-  // Filter out non-URL bookmarks (folders)
-  const urlBookmarks = bookmarks.filter(b => b.url && !b.url.startsWith('about:') && !b.url.startsWith('moz-extension:'));
+  const [target] = await browser.bookmarks.get(targetFolderId);
+  const windowIds = [getFolderWindowId(sourceFolderId), getFolderWindowId(targetFolderId)].filter(id => id !== null);
 
-  if (urlBookmarks.length === 0) {
-    // Create empty window
-    const newWindow = await browser.windows.create();
-    windowMappings[newWindow.id] = { folderId, folderTitle };
-    await saveWindowMappings();
-    await updateFolderLastUsed(folderId);
-    return newWindow;
-  }
+  return runInSyncQueues(windowIds, async () => {
+    // Start from what the windows show now
+    for (const windowId of windowIds) {
+      const mapping = windowMappings[windowId];
+      if (mapping && isSyncDirectionAllowed(mapping, SYNC_TABS_TO_BOOKMARKS)) {
+        await syncTabsToBookmarks(windowId);
+      }
+    }
+    await recordSnapshot(targetFolderId, 'before-merge');
+
+    const targetLayout = await getFolderLayout(targetFolderId);
+    const sourceLayout = await getFolderLayout(sourceFolderId);
+    await writePinnedMetadata(targetLayout.entries);
+    await writePinnedMetadata(sourceLayout.entries);
+
+    const keptByUrl = new Map();
+    for (const entry of targetLayout.entries) {
+      if (!keptByUrl.has(entry.bookmark.url)) {
+        keptByUrl.set(entry.bookmark.url, entry);
+      }
+    }
+    const targetSubfolders = new Map(targetLayout.subfolders.map(folder => [folder.title, folder]));
+    const sourceEntries = new Map(sourceLayout.entries.map(entry => [entry.bookmark.id, entry]));
+    const trashed = [];
 
-  // Get pinned URLs for this folder
-  const pinnedUrls = pinnedTabsByFolder[folderId] || new Set();
+    // Keep the first copy of each URL; returns whether the bookmark was dropped
+    const dropIfDuplicate = async (bookmark, groupFolderId) => {
+      const entry = sourceEntries.get(bookmark.id);
+      const kept = keptByUrl.get(bookmark.url);
+      if (!kept) {
+        keptByUrl.set(bookmark.url, entry);
+        return false;
+      }
 
-  console.log('Opening folder', folderId, 'with pinned tabs:', Array.from(pinnedUrls));
+      if (entry.pinned && !kept.pinned) {
+        kept.pinned = true;
+        kept.metadata = { ...kept.metadata, pinned: true };
+        await issueBookmarkUpdate(kept.bookmark.id, { title: encodeBookmarkTitle(kept.title, kept.metadata) });
+      }
 
-  // Create window (it will have one blank tab initially)
-  const newWindow = await browser.windows.create();
+      trashed.push({
+        kind: 'bookmark',
+        url: bookmark.url,
+        title: entry.title,
+        index: bookmark.index,
+        pinned: entry.pinned,
+        folderId: targetFolderId,
+        folderTitle: target.title,
+        groupFolderId,
+        windowId: null
+      });
+      await issueBookmarkRemove(bookmark.id);
+      return true;
+    };
 
-  // Get the initial blank tab ID before creating other tabs
-  const initialTabs = await browser.tabs.query({ windowId: newWindow.id });
-  const initialBlankTabId = initialTabs[0]?.id;
+    const [sourceTree] = await browser.bookmarks.getSubTree(sourceFolderId);
+    for (const child of sourceTree.children || []) {
+      if (child.url) {
+        if (!(await dropIfDuplicate(child, null))) {
+          await issueBookmarkMove(child.id, { parentId: targetFolderId });
+        }
+      } else if (child.type === 'folder' || child.children) {
+        const existing = targetSubfolders.get(child.title);
+        if (!existing) {
+          await issueBookmarkMove(child.id, { parentId: targetFolderId });
+          targetSubfolders.set(child.title, child);
+        }
 
-  // Associate the window with the folder immediately
-  windowMappings[newWindow.id] = { folderId, folderTitle };
-  await saveWindowMappings();
+        const groupFolderId = existing ? existing.id : child.id;
+        for (const grandchild of child.children || []) {
+          if (grandchild.url && await dropIfDuplicate(grandchild, groupFolderId)) continue;
+          if (existing) {
+            await issueBookmarkMove(grandchild.id, { parentId: existing.id });
+          }
+        }
+      } else {
+        await issueBookmarkMove(child.id, { parentId: targetFolderId });
+      }
+    }
+    await addToTrash(trashed);
 
-  // Update last used timestamp
-  await updateFolderLastUsed(folderId);
+    // Every bookmark now carries its pinned state
+    await dropPinnedCache(targetFolderId);
 
-  // Create all bookmarked tabs with their pinned status
-  // Firefox will automatically order pinned tabs at the beginning
-  for (const bookmark of urlBookmarks) {
-    const shouldBePinned = pinnedUrls.has(bookmark.url);
-    console.log('Creating tab:', bookmark.url, 'pinned:', shouldBePinned);
-    await browser.tabs.create({
-      windowId: newWindow.id,
-      url: bookmark.url,
-      active: false,
-      pinned: shouldBePinned
-    });
-  }
+    // The other group's URL rules apply after this group's own. Its other
+    // settings and its snapshots go with its folder.
+    const targetRules = urlRules.groups[targetFolderId] || [];
+    const addedRules = (urlRules.groups[sourceFolderId] || []).filter(rule => !targetRules.some(existing =>
+      existing.type === rule.type && existing.pattern === rule.pattern && existing.action === rule.action
+    ));
+    if (addedRules.length > 0) {
+      urlRules.groups[targetFolderId] = [...targetRules, ...addedRules];
+      await browser.storage.local.set({ [URL_RULES_KEY]: urlRules });
+    }
 
-  // Remove the initial blank tab by ID
-  if (initialBlankTabId) {
-    await browser.tabs.remove(initialBlankTabId);
-  }
+    // Bring the merged group's window over. Its tabs keep their bindings to the
+    // bookmarks that moved, so the sync below puts them in place.
+    const sourceWindowId = getFolderWindowId(sourceFolderId);
+    let targetWindowId = getFolderWindowId(targetFolderId);
+    if (sourceWindowId !== null) {
+      removeWindowMapping(sourceWindowId);
+      if (targetWindowId !== null) {
+        const tabs = await browser.tabs.query({ windowId: sourceWindowId });
+        await issueTabMove(tabs.map(tab => tab.id), { windowId: targetWindowId, index: -1 });
+      } else {
+        setWindowMapping(sourceWindowId, createMapping(targetFolderId, target.title));
+        targetWindowId = sourceWindowId;
+      }
+      await saveWindowMappings();
+    }
 
-  return newWindow;
+    if (targetWindowId !== null) {
+      await syncBookmarksToTabs(targetFolderId);
+      await updateWindowIndicator(targetWindowId);
+    }
+
+    await deleteGroup(sourceFolderId);
+    await updateFolderLastUsed(targetFolderId);
+    console.log('Merged group', sourceFolderId, 'into', targetFolderId, '- dropped', trashed.length, 'duplicates');
+
+    return { folderId: targetFolderId, windowId: targetWindowId, duplicates: trashed.length };
+  });
 }
 
 /**
- * Sync all tabs in a window to its bookmark folder
+ * Split tabs off a synced window into a new group, opened in a new window.
+ * The tabs' bookmarks move to the new group's folder, keeping their pinned
+ * state and tab group subfolders; tabs that weren't synced just move along.
+ * The window doesn't sync until the split is done.
  */
-async function syncTabsToBookmarks(windowId) {
-  const mapping = windowMappings[windowId];
-  if (!mapping) return;
-
-  // If already syncing, queue this window for later
-  if (isSyncing) {
-    console.log('Sync already in progress, queuing window', windowId);
-    pendingSyncs.add(windowId);
-    return;
+async function splitGroup(windowId, tabIds, folderTitle) {
+  windowId = parseInt(windowId);
+  if (!windowMappings[windowId]) {
+    throw new Error('This window is not synced');
   }
 
-  isSyncing = true;
-  console.log('=== syncTabsToBookmarks START for window', windowId, '===');
+  return runInSyncQueue(windowId, async () => {
+    const mapping = windowMappings[windowId];
+    if (!mapping) {
+      throw new Error('This window is not synced');
+    }
 
-  try {
-    // Get all tabs in the window
     const tabs = await browser.tabs.query({ windowId });
-    console.log('Found', tabs.length, 'tabs');
-
-    // Get all bookmarks in the folder
-    const bookmarkTree = await browser.bookmarks.getSubTree(mapping.folderId);
-    const existingBookmarks = bookmarkTree[0].children || [];
-
-    // Create a map of URL -> bookmark for quick lookup
-    const bookmarksByUrl = new Map();
-    existingBookmarks.forEach(bookmark => {
-      if (bookmark.url) {
-        bookmarksByUrl.set(bookmark.url, bookmark);
-      }
-    });
+    const splitTabIds = new Set(tabIds);
+    const splitTabs = tabs.filter(tab => splitTabIds.has(tab.id));
+    if (splitTabs.length === 0) {
+      throw new Error('None of the tabs to split off are in this window');
+    }
+    if (splitTabs.length === tabs.length) {
+      throw new Error('At least one tab has to stay in the window');
+    }
 
-    // Track which bookmarks we've seen (to identify ones to delete)
-    const seenBookmarkIds = new Set();
+    // Make sure every synced tab has its bookmark
+    if (isSyncDirectionAllowed(mapping, SYNC_TABS_TO_BOOKMARKS)) {
+      await syncTabsToBookmarks(windowId);
+    }
+    await recordSnapshot(mapping.folderId, 'before-split');
 
-    // Track pinned tabs for this folder
-    const pinnedUrls = new Set();
+    const layout = await getFolderLayout(mapping.folderId);
+    const entriesById = new Map(layout.entries.map(entry => [entry.bookmark.id, entry]));
+    const splitEntries = splitTabs
+      .map(tab => entriesById.get(tabBookmarkBindings[tab.id]))
+      .filter(Boolean);
+    await writePinnedMetadata(splitEntries);
 
-    // Sync tabs to bookmarks
-    let bookmarkIndex = 0;
-    for (let i = 0; i < tabs.length; i++) {
-      const tab = tabs[i];
+    const folder = await createGroupFolder(folderTitle);
+    await setFolderContainer(folder.id, folderContainers[mapping.folderId] || null);
 
-      // Skip about: and moz-extension: URLs
-      if (!tab.url || tab.url.startsWith('about:') || tab.url.startsWith('moz-extension:')) {
-        continue;
+    // Move the bookmarks in tab order, recreating their tab group subfolders
+    const subfolderIds = new Map();
+    for (const entry of splitEntries) {
+      let parentId = folder.id;
+      if (entry.groupFolder) {
+        if (!subfolderIds.has(entry.groupFolder.id)) {
+          const subfolder = await issueBookmarkCreate({ parentId: folder.id, title: entry.groupFolder.title, type: 'folder' });
+          subfolderIds.set(entry.groupFolder.id, subfolder.id);
+        }
+        parentId = subfolderIds.get(entry.groupFolder.id);
       }
+      await issueBookmarkMove(entry.bookmark.id, { parentId });
+    }
 
-      console.log('Processing tab:', tab.url, 'pinned:', tab.pinned);
-
-      // Track if this tab is pinned
-      if (tab.pinned) {
-        console.log('Adding to pinned URLs:', tab.url);
-        pinnedUrls.add(tab.url);
+    // Tab group subfolders left empty go with their groups
+    for (const subfolderId of subfolderIds.keys()) {
+      const children = await browser.bookmarks.getChildren(subfolderId);
+      if (children.length === 0) {
+        unbindFolderGroups(subfolderId);
+        await issueBookmarkRemove(subfolderId);
       }
+    }
+    await saveGroupBindings();
 
-      const existingBookmark = bookmarksByUrl.get(tab.url);
+    // The first tab opens the new window and the others follow. The tabs keep
+    // their bindings, so the sync puts them back into pinned state and groups.
+    const [firstTab, ...otherTabs] = splitTabs;
+    const newWindow = await browser.windows.create({ tabId: firstTab.id });
+    if (otherTabs.length > 0) {
+      await issueTabMove(otherTabs.map(tab => tab.id), { windowId: newWindow.id, index: -1 });
+    }
 
-      if (existingBookmark) {
-        // Bookmark exists, mark it as seen
-        seenBookmarkIds.add(existingBookmark.id);
+    setWindowMapping(newWindow.id, createMapping(folder.id, folderTitle));
+    const arranged = runInSyncQueue(newWindow.id, () => syncBookmarksToTabs(folder.id));
+    await saveWindowMappings();
+    await arranged;
 
-        // Update title if different
-        if (existingBookmark.title !== tab.title) {
-          await browser.bookmarks.update(existingBookmark.id, { title: tab.title });
-        }
+    await updateFolderLastUsed(folder.id);
+    await updateWindowIndicator(windowId);
+    await updateWindowIndicator(newWindow.id);
+    console.log('Split', splitTabs.length, 'tabs off window', windowId, 'into group', folder.id);
 
-        // Update position if different
-        if (existingBookmark.index !== bookmarkIndex) {
-          await browser.bookmarks.move(existingBookmark.id, { index: bookmarkIndex });
-        }
-      } else {
-        // Create new bookmark
-        const newBookmark = await browser.bookmarks.create({
-          parentId: mapping.folderId,
-          title: tab.title,
-          url: tab.url,
-          index: bookmarkIndex
-        });
-        seenBookmarkIds.add(newBookmark.id);
-      }
+    return { folderId: folder.id, folderTitle, windowId: newWindow.id };
+  });
+}
 
-      bookmarkIndex++;
-    }
+// ============================================================================
+// Restored Window Reconciliation
+// ============================================================================
 
-    // Remove bookmarks that don't have corresponding tabs
-    for (const bookmark of existingBookmarks) {
-      if (!seenBookmarkIds.has(bookmark.id)) {
-        await browser.bookmarks.remove(bookmark.id);
-      }
-    }
+/**
+ * Get the ordered URLs of the bookmarks in a folder and its tab group subfolders
+ */
+async function getFolderFingerprint(folderId) {
+  const layout = await getFolderLayout(folderId);
+  return layout.entries
+    .map(entry => entry.bookmark.url)
+    .filter(url => isSyncableUrl(url, folderId));
+}
 
-    // Save pinned tab URLs for this folder
-    pinnedTabsByFolder[mapping.folderId] = pinnedUrls;
-    console.log('Pinned URLs for this sync:', Array.from(pinnedUrls));
-    await savePinnedTabs();
+/**
+ * Keep a mapping whose window went away, with a fingerprint of its folder
+ */
+async function detachMapping(mapping) {
+  let fingerprint;
+  try {
+    fingerprint = await getFolderFingerprint(mapping.folderId);
+  } catch (error) {
+    // Folder was deleted, nothing to re-attach to
+    delete detachedMappings[mapping.folderId];
+    return;
+  }
 
-    console.log('=== syncTabsToBookmarks END - Saved pinned tabs for folder', mapping.folderId, ':', Array.from(pinnedUrls), '===');
-  } finally {
-    isSyncing = false;
+  detachedMappings[mapping.folderId] = {
+    folderTitle: mapping.folderTitle,
+    fingerprint,
+    detachedAt: Date.now()
+  };
 
-    // Process any pending syncs
-    if (pendingSyncs.size > 0) {
-      console.log('Processing pending syncs:', Array.from(pendingSyncs));
-      const nextWindowId = pendingSyncs.values().next().value;
-      pendingSyncs.delete(nextWindowId);
-      // Run the next sync asynchronously (don't await to avoid blocking)
-      syncTabsToBookmarks(nextWindowId);
-    }
+  // Only keep the most recently detached mappings
+  const folderIds = Object.keys(detachedMappings)
+    .sort((a, b) => detachedMappings[b].detachedAt - detachedMappings[a].detachedAt);
+  for (const folderId of folderIds.slice(MAX_DETACHED_MAPPINGS)) {
+    delete detachedMappings[folderId];
   }
 }
 
 /**
- * Sync bookmarks in a folder to tabs in the window
+ * Score how closely two URL lists match, from 0 (disjoint) to 1 (identical sets)
+ * Uses the Dice coefficient over URL multisets so duplicate URLs count.
  */
-async function syncBookmarksToTabs(folderId) {
-  // Find the window associated with this folder
-  const windowId = Object.keys(windowMappings).find(
-    wId => windowMappings[wId].folderId === folderId
-  );
+function computeFingerprintSimilarity(urlsA, urlsB) {
+  if (urlsA.length === 0 || urlsB.length === 0) return 0;
 
-  if (!windowId) return;
+  const counts = new Map();
+  for (const url of urlsA) {
+    counts.set(url, (counts.get(url) || 0) + 1);
+  }
 
-  // If already syncing, queue this window for later
-  if (isSyncing) {
-    console.log('Sync already in progress, queuing window', windowId, 'for bookmark sync');
-    pendingSyncs.add(parseInt(windowId));
-    return;
+  let shared = 0;
+  for (const url of urlsB) {
+    const count = counts.get(url);
+    if (count) {
+      shared++;
+      counts.set(url, count - 1);
+    }
   }
 
-  isSyncing = true;
+  return (2 * shared) / (urlsA.length + urlsB.length);
+}
 
-  try {
-    // Get all bookmarks in the folder
-    const bookmarkTree = await browser.bookmarks.getSubTree(folderId);
-    const bookmarks = bookmarkTree[0].children || [];
+/**
+ * Match unsynced windows to detached folders by tab-set similarity.
+ * Confident, unambiguous matches are re-synced; the rest are queued for the popup.
+ */
+async function reconcileRestoredWindows(windows) {
+  if (!windows) {
+    windows = await browser.windows.getAll({ populate: true });
+  }
 
-    // Get all tabs in the window
-    const tabs = await browser.tabs.query({ windowId: parseInt(windowId) });
+  const mappedFolderIds = new Set(Object.values(windowMappings).map(m => m.folderId));
+  const candidateWindows = windows.filter(w => w.type === 'normal' && !windowMappings[w.id]);
 
-    // Get pinned URLs for this folder
-    const pinnedUrls = pinnedTabsByFolder[folderId] || new Set();
+  // Score every window against every detached folder
+  const pairs = [];
+  for (const win of candidateWindows) {
+    const windowUrls = getSyncableTabs(win.tabs || [], null).map(tab => tab.url);
 
-    // Create a map of URL -> tab for quick lookup
-    const tabsByUrl = new Map();
-    tabs.forEach(tab => {
-      if (tab.url && !tab.url.startsWith('about:') && !tab.url.startsWith('moz-extension:')) {
-        tabsByUrl.set(tab.url, tab);
+    for (const folderId in detachedMappings) {
+      if (mappedFolderIds.has(folderId)) continue;
+
+      const score = computeFingerprintSimilarity(windowUrls, detachedMappings[folderId].fingerprint);
+      if (score >= REATTACH_SUGGEST_THRESHOLD) {
+        pairs.push({ windowId: win.id, folderId, folderTitle: detachedMappings[folderId].folderTitle, score });
       }
-    });
+    }
+  }
+
+  pairs.sort((a, b) => b.score - a.score);
+
+  // A match is ambiguous if another candidate for the same window or folder is close behind
+  const isAmbiguous = (pair) => pairs.some(other =>
+    other !== pair &&
+    (other.windowId === pair.windowId || other.folderId === pair.folderId) &&
+    other.score >= pair.score - REATTACH_AMBIGUITY_MARGIN
+  );
 
-    // Track which tabs we've seen (to identify ones to close)
-    const seenTabIds = new Set();
+  const assignedWindowIds = new Set();
+  const assignedFolderIds = new Set();
 
-    // Sync bookmarks to tabs
-    for (let i = 0; i < bookmarks.length; i++) {
-      const bookmark = bookmarks[i];
+  for (const pair of pairs) {
+    if (pair.score < REATTACH_AUTO_THRESHOLD) break;
+    if (assignedWindowIds.has(pair.windowId) || assignedFolderIds.has(pair.folderId)) continue;
+    if (isAmbiguous(pair)) continue;
 
-      // Skip folders
-      if (!bookmark.url) continue;
+    // Make sure the folder still exists before re-attaching
+    try {
+      await browser.bookmarks.getSubTree(pair.folderId);
+    } catch (error) {
+      delete detachedMappings[pair.folderId];
+      assignedFolderIds.add(pair.folderId);
+      continue;
+    }
 
-      const shouldBePinned = pinnedUrls.has(bookmark.url);
-      const existingTab = tabsByUrl.get(bookmark.url);
+    console.log('Re-attaching restored window', pair.windowId, 'to folder', pair.folderId, 'score:', pair.score);
+    assignedWindowIds.add(pair.windowId);
+    assignedFolderIds.add(pair.folderId);
+    await associateWindowWithFolder(pair.windowId, pair.folderId, pair.folderTitle);
+  }
 
-      if (existingTab) {
-        // Tab exists, mark it as seen
-        seenTabIds.add(existingTab.id);
+  // Everything else above the suggestion threshold needs confirmation
+  const considered = new Set(candidateWindows.map(w => w.id));
+  pendingReattachments = pendingReattachments.filter(p =>
+    !considered.has(p.windowId) && !assignedFolderIds.has(p.folderId)
+  );
+  for (const pair of pairs) {
+    if (assignedWindowIds.has(pair.windowId) || assignedFolderIds.has(pair.folderId)) continue;
+    pendingReattachments.push(pair);
+  }
 
-        // Update pinned status if different
-        if (existingTab.pinned !== shouldBePinned) {
-          await browser.tabs.update(existingTab.id, { pinned: shouldBePinned });
-        }
+  await saveDetachedMappings();
+  await savePendingReattachments();
+}
 
-        // Update position if different
-        if (existingTab.index !== i) {
-          await browser.tabs.move(existingTab.id, { windowId: parseInt(windowId), index: i });
-        }
-      } else {
-        // Create new tab
-        const newTab = await browser.tabs.create({
-          windowId: parseInt(windowId),
-          url: bookmark.url,
-          active: false,
-          pinned: shouldBePinned,
-          index: i
-        });
-        seenTabIds.add(newTab.id);
-      }
-    }
+/**
+ * Forget detached state and suggestions for a window/folder that is synced again
+ */
+async function clearReattachmentState(windowId, folderId) {
+  windowId = parseInt(windowId);
 
-    // Close tabs that don't have corresponding bookmarks
-    for (const tab of tabs) {
-      if (!seenTabIds.has(tab.id) && !tab.url.startsWith('about:') && !tab.url.startsWith('moz-extension:')) {
-        await browser.tabs.remove(tab.id);
-      }
-    }
-  } finally {
-    isSyncing = false;
+  if (detachedMappings[folderId]) {
+    delete detachedMappings[folderId];
+    await saveDetachedMappings();
+  }
 
-    // Process any pending syncs
-    if (pendingSyncs.size > 0) {
-      console.log('Processing pending syncs:', Array.from(pendingSyncs));
-      const nextWindowId = pendingSyncs.values().next().value;
-      pendingSyncs.delete(nextWindowId);
-      // Run the next sync asynchronously (don't await to avoid blocking)
-      syncTabsToBookmarks(nextWindowId);
-    }
+  const remaining = pendingReattachments.filter(p => p.windowId !== windowId && p.folderId !== folderId);
+  if (remaining.length !== pendingReattachments.length) {
+    pendingReattachments = remaining;
+    await savePendingReattachments();
   }
 }
 
+/**
+ * Confirm a suggested re-attachment from the popup
+ */
+async function confirmReattachment(windowId, folderId) {
+  const pair = pendingReattachments.find(p => p.windowId === windowId && p.folderId === folderId);
+  if (!pair) return;
+
+  await associateWindowWithFolder(windowId, folderId, pair.folderTitle);
+}
+
+/**
+ * Dismiss a suggested re-attachment from the popup
+ */
+async function dismissReattachment(windowId, folderId) {
+  pendingReattachments = pendingReattachments.filter(p => !(p.windowId === windowId && p.folderId === folderId));
+  await savePendingReattachments();
+}
+
 // ============================================================================
 // Event Listeners
 // ============================================================================
 
 // Tab created
-browser.tabs.onCreated.addListener(async (tab) => {
+browser.tabs.onCreated.addListener(withState((tab) => {
+  updateWindowIndicator(tab.windowId);
+
+  if (consumeExpectedCreation(`tab:${tab.windowId}`)) {
+    recordIssued('tab', tab.id);
+    return;
+  }
   if (!windowMappings[tab.windowId]) return;
-  await syncTabsToBookmarks(tab.windowId);
-});
+  scheduleSync(tab.windowId, SYNC_TABS_TO_BOOKMARKS);
+}));
 
 // Tab removed
-browser.tabs.onRemoved.addListener(async (tabId, removeInfo) => {
+browser.tabs.onRemoved.addListener(withState(async (tabId, removeInfo) => {
   console.log('Tab removed:', tabId, 'windowId:', removeInfo.windowId, 'isWindowClosing:', removeInfo.isWindowClosing);
 
+  if (tabBookmarkBindings[tabId]) {
+    unbindTab(tabId);
+    await saveTabBindings();
+  }
+
+  if (!removeInfo.isWindowClosing) {
+    updateWindowIndicator(removeInfo.windowId);
+  }
+
   if (!windowMappings[removeInfo.windowId]) {
     console.log('Window not synced, ignoring');
     return;
@@ -413,124 +4180,344 @@ browser.tabs.onRemoved.addListener(async (tabId, removeInfo) => {
     console.log('Window closing, ignoring');
     return;
   }
+  if (isEcho('tab', tabId)) return;
 
   console.log('Syncing tabs to bookmarks due to tab removal');
-  await syncTabsToBookmarks(removeInfo.windowId);
-});
+  scheduleSync(removeInfo.windowId, SYNC_TABS_TO_BOOKMARKS);
+}));
 
-// Tab updated (URL, title, or pinned status change)
-browser.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
+// Tab updated (URL, title, pinned status or group change)
+browser.tabs.onUpdated.addListener(withState((tabId, changeInfo, tab) => {
   console.log('Tab updated:', tabId, 'changeInfo:', changeInfo, 'windowId:', tab.windowId);
 
   if (!windowMappings[tab.windowId]) {
     console.log('Window not synced, ignoring');
     return;
   }
+  if (isEcho('tab', tabId)) return;
 
-  if (changeInfo.url || changeInfo.title || changeInfo.pinned !== undefined) {
+  if (changeInfo.url || changeInfo.title || changeInfo.pinned !== undefined || changeInfo.groupId !== undefined) {
     console.log('Syncing tabs to bookmarks due to tab update');
-    await syncTabsToBookmarks(tab.windowId);
+    scheduleSync(tab.windowId, SYNC_TABS_TO_BOOKMARKS);
   }
-});
+}));
+
+// Tab activated - remember it so restoring the group focuses it again
+browser.tabs.onActivated.addListener(withState(async (activeInfo) => {
+  const mapping = windowMappings[activeInfo.windowId];
+  const bookmarkId = tabBookmarkBindings[activeInfo.tabId];
+  if (!mapping || !bookmarkId) return;
+
+  lastActiveBookmarks[mapping.folderId] = bookmarkId;
+  await browser.storage.local.set({ [LAST_ACTIVE_KEY]: lastActiveBookmarks });
+}));
 
 // Tab moved
-browser.tabs.onMoved.addListener(async (tabId, moveInfo) => {
-  if (!windowMappings[moveInfo.windowId]) return;
-  await syncTabsToBookmarks(moveInfo.windowId);
-});
+browser.tabs.onMoved.addListener(withState((tabId, moveInfo) => {
+  if (!windowMappings[moveInfo.windowId] || isEcho('tab', tabId)) return;
+  scheduleSync(moveInfo.windowId, SYNC_TABS_TO_BOOKMARKS);
+}));
 
 // Tab attached to different window
-browser.tabs.onAttached.addListener(async (tabId, attachInfo) => {
-  if (!windowMappings[attachInfo.newWindowId]) return;
-  await syncTabsToBookmarks(attachInfo.newWindowId);
-});
+browser.tabs.onAttached.addListener(withState((tabId, attachInfo) => {
+  updateWindowIndicator(attachInfo.newWindowId);
+  if (!windowMappings[attachInfo.newWindowId] || isEcho('tab', tabId)) return;
+  scheduleSync(attachInfo.newWindowId, SYNC_TABS_TO_BOOKMARKS);
+}));
 
 // Tab detached from window
-browser.tabs.onDetached.addListener(async (tabId, detachInfo) => {
-  if (!windowMappings[detachInfo.oldWindowId]) return;
-  await syncTabsToBookmarks(detachInfo.oldWindowId);
-});
+browser.tabs.onDetached.addListener(withState((tabId, detachInfo) => {
+  updateWindowIndicator(detachInfo.oldWindowId);
+  if (!windowMappings[detachInfo.oldWindowId] || isEcho('tab', tabId)) return;
+  scheduleSync(detachInfo.oldWindowId, SYNC_TABS_TO_BOOKMARKS);
+}));
 
 // Window removed - we keep the bookmarks as requested
-browser.windows.onRemoved.addListener(async (windowId) => {
+browser.windows.onRemoved.addListener(withState(async (windowId) => {
+  unsyncedOpenedWindowIds.delete(windowId);
+
   if (windowMappings[windowId]) {
-    // Just remove the mapping, keep the bookmarks
-    delete windowMappings[windowId];
+    // Just remove the mapping, keep the bookmarks and remember the folder
+    // in case the window is restored (e.g. "Undo Close Window")
+    const folderId = windowMappings[windowId].folderId;
+    await detachMapping(windowMappings[windowId]);
+    removeWindowMapping(windowId);
     await saveWindowMappings();
+    await saveDetachedMappings();
+    await cleanUpAutoGroup(folderId);
   }
-});
 
-// Bookmark created
-browser.bookmarks.onCreated.addListener(async (id, bookmark) => {
-  if (!bookmark.url) return; // Skip folders
+  if (pendingReattachments.some(p => p.windowId === windowId)) {
+    pendingReattachments = pendingReattachments.filter(p => p.windowId !== windowId);
+    await savePendingReattachments();
+  }
+}));
 
-  // Find if this bookmark is in a tracked folder
-  const parentFolderId = bookmark.parentId;
-  const windowId = Object.keys(windowMappings).find(
-    wId => windowMappings[wId].folderId === parentFolderId
-  );
+// Window created - session restore fills in tabs shortly after the window appears.
+// A window that turns out not to be a restored group may get a group of its own.
+browser.windows.onCreated.addListener(withState((newWindow) => {
+  if (newWindow.type !== 'normal') return;
+  setTimeout(async () => {
+    try {
+      await reconcileRestoredWindows();
+      await autoGroupNewWindow(newWindow.id);
+    } catch (error) {
+      console.error('Error handling new window', newWindow.id, error);
+    }
+  }, 1000);
+}));
 
-  if (windowId) {
-    await syncBookmarksToTabs(parentFolderId);
+// Window focused - refresh its badge, tooltip and title
+browser.windows.onFocusChanged.addListener(withState((windowId) => {
+  if (windowId === browser.windows.WINDOW_ID_NONE) return;
+  updateWindowIndicator(windowId);
+}));
+
+// Tab group created, renamed or moved
+browser.tabGroups.onCreated.addListener(withState((group) => {
+  if (consumeExpectedCreation(`group:${group.windowId}`)) {
+    recordIssued('group', group.id);
+    return;
   }
-});
+  if (!windowMappings[group.windowId]) return;
+  scheduleSync(group.windowId, SYNC_TABS_TO_BOOKMARKS);
+}));
 
-// Bookmark removed
-browser.bookmarks.onRemoved.addListener(async (id, removeInfo) => {
-  // Find if this bookmark was in a tracked folder
-  const windowId = Object.keys(windowMappings).find(
-    wId => windowMappings[wId].folderId === removeInfo.parentId
-  );
+browser.tabGroups.onUpdated.addListener(withState((group) => {
+  if (!windowMappings[group.windowId] || isEcho('group', group.id)) return;
+  scheduleSync(group.windowId, SYNC_TABS_TO_BOOKMARKS);
+}));
+
+browser.tabGroups.onMoved.addListener(withState((group) => {
+  if (!windowMappings[group.windowId] || isEcho('group', group.id)) return;
+  scheduleSync(group.windowId, SYNC_TABS_TO_BOOKMARKS);
+}));
+
+// Tab group removed
+browser.tabGroups.onRemoved.addListener(withState(async (group, removeInfo) => {
+  delete groupFolderBindings[group.id];
+  await saveGroupBindings();
+
+  if (!windowMappings[group.windowId] || removeInfo?.isWindowClosing) return;
+  if (isEcho('group', group.id)) return;
+  scheduleSync(group.windowId, SYNC_TABS_TO_BOOKMARKS);
+}));
+
+// Bookmark or subfolder created
+browser.bookmarks.onCreated.addListener(withState(async (id, bookmark) => {
+  if (consumeExpectedCreation(`bookmark:${bookmark.parentId}`)) {
+    recordIssued('bookmark', id);
+    return;
+  }
 
-  if (windowId) {
-    await syncBookmarksToTabs(removeInfo.parentId);
+  // Find if this bookmark is in a tracked folder or one of its subfolders
+  const folderId = await findSyncedFolderId(bookmark.parentId);
+
+  if (folderId) {
+    scheduleFolderSync(folderId, [id]);
   }
-});
+}));
+
+// Bookmark or subfolder removed
+browser.bookmarks.onRemoved.addListener(withState(async (id, removeInfo) => {
+  // A synced folder itself was deleted, possibly along with a folder above it
+  for (const syncedFolderId of findSyncedFoldersInTree(removeInfo.node)) {
+    await handleSyncedFolderDeleted(syncedFolderId, syncedFolderId === id ? removeInfo.parentId : null);
+  }
+
+  if (isEcho('bookmark', id)) return;
+
+  // Find if this bookmark was in a tracked folder or one of its subfolders
+  const folderId = await findSyncedFolderId(removeInfo.parentId);
+
+  if (folderId) {
+    scheduleFolderSync(folderId, getBookmarkTreeIds(removeInfo.node));
+  }
+}));
+
+// Bookmark changed (title or URL) or subfolder renamed
+browser.bookmarks.onChanged.addListener(withState(async (id, changeInfo) => {
+  // A synced (or recently closed) folder itself was renamed
+  if (changeInfo.title !== undefined && (getFolderWindowId(id) !== null || detachedMappings[id])) {
+    await handleSyncedFolderRenamed(id, changeInfo.title);
+    return;
+  }
+
+  if (isEcho('bookmark', id)) return;
 
-// Bookmark changed (title or URL)
-browser.bookmarks.onChanged.addListener(async (id, changeInfo) => {
   // Get the bookmark to find its parent
   const bookmarks = await browser.bookmarks.get(id);
   if (bookmarks.length === 0) return;
 
-  const bookmark = bookmarks[0];
-  const windowId = Object.keys(windowMappings).find(
-    wId => windowMappings[wId].folderId === bookmark.parentId
-  );
+  const folderId = await findSyncedFolderId(bookmarks[0].parentId);
 
-  if (windowId) {
-    await syncBookmarksToTabs(bookmark.parentId);
+  if (folderId) {
+    scheduleFolderSync(folderId, [id]);
   }
-});
+}));
+
+// Bookmark or subfolder moved
+browser.bookmarks.onMoved.addListener(withState(async (id, moveInfo) => {
+  // A synced folder itself was moved: its mapping follows its ID, so it stays synced
+  if (getFolderWindowId(id) !== null) {
+    notifyGroupsChanged();
+  }
+
+  if (isEcho('bookmark', id)) return;
 
-// Bookmark moved
-browser.bookmarks.onMoved.addListener(async (id, moveInfo) => {
   // Check if moved within a tracked folder
-  const windowId = Object.keys(windowMappings).find(
-    wId => windowMappings[wId].folderId === moveInfo.parentId
-  );
+  const folderId = await findSyncedFolderId(moveInfo.parentId);
 
-  if (windowId) {
-    await syncBookmarksToTabs(moveInfo.parentId);
+  if (folderId) {
+    scheduleFolderSync(folderId, [id]);
   }
 
   // Also check old parent in case it was moved out
-  const oldWindowId = Object.keys(windowMappings).find(
-    wId => windowMappings[wId].folderId === moveInfo.oldParentId
-  );
+  const oldFolderId = await findSyncedFolderId(moveInfo.oldParentId);
+
+  if (oldFolderId && oldFolderId !== folderId) {
+    scheduleFolderSync(oldFolderId, [id]);
+  }
+}));
+
+// Tab context menu: "Move to Group" lists the current groups each time it opens
+browser.menus.onShown.addListener(withState(async (info, tab) => {
+  if (!info.contexts.includes('tab') || !tab) return;
+  await updateMoveToGroupMenu(tab);
+}));
 
-  if (oldWindowId) {
-    await syncBookmarksToTabs(moveInfo.oldParentId);
+browser.menus.onClicked.addListener(withState(async (info, tab) => {
+  if (String(info.menuItemId).startsWith(`${MOVE_TO_GROUP_MENU_ID}:`)) {
+    await handleMoveToGroupClicked(info, tab);
   }
+}));
+
+// Container deleted - its groups go back to opening tabs without a container
+browser.contextualIdentities.onRemoved.addListener(withState(async ({ contextualIdentity }) => {
+  await handleContainerRemoved(contextualIdentity.cookieStoreId);
+}));
+
+// Keyboard commands
+browser.commands.onCommand.addListener(withState(async (command) => {
+  if (command === 'stash-window') {
+    const current = await browser.windows.getLastFocused();
+    try {
+      await stashWindow(current.id);
+    } catch (error) {
+      console.error('Error stashing window:', error);
+      await notify('Window not stashed', `The window was left open: ${error.message}`);
+    }
+  } else if (command === 'next-synced-window') {
+    await cycleSyncedWindows(1);
+  } else if (command === 'previous-synced-window') {
+    await cycleSyncedWindows(-1);
+  }
+}));
+
+// Omnibox: "tg <name>" switches to or opens a group
+browser.omnibox.setDefaultSuggestion({ description: 'Switch to or open a tab group' });
+
+browser.omnibox.onInputChanged.addListener(withState(async (text, suggest) => {
+  const folders = await searchFolders(text);
+  const openFolderIds = new Set(Object.values(windowMappings).map(m => m.folderId));
+
+  suggest(folders.slice(0, MAX_OMNIBOX_SUGGESTIONS).map(folder => ({
+    content: folder.path,
+    description: escapeOmniboxText(`${folder.path}${openFolderIds.has(folder.id) ? ' (open)' : ''}`)
+  })));
+}));
+
+browser.omnibox.onInputEntered.addListener(withState(async (text) => {
+  // Selected suggestions come back as their full path; typed text is matched fuzzily
+  const folders = await getAllBookmarkFolders();
+  const folder = folders.find(f => f.path === text) || (await searchFolders(text))[0];
+  if (folder) {
+    // Opening a folder that is already open focuses its window
+    await openFolderAsNewWindow(folder.id, folder.title);
+  }
+}));
+
+// Alarms
+browser.alarms.onAlarm.addListener(withState(async (alarm) => {
+  if (alarm.name === SNAPSHOT_ALARM_NAME) {
+    await takeScheduledSnapshots();
+  }
+}));
+
+// Browser started, or extension installed or updated: catch up with what changed
+browser.runtime.onStartup.addListener(() => runStartupTasks(true));
+
+browser.runtime.onInstalled.addListener(async () => {
+  // Context menus outlive the event page, so they are created once per install
+  browser.menus.create({
+    id: MOVE_TO_GROUP_MENU_ID,
+    title: 'Move to Group',
+    contexts: ['tab']
+  });
+  await runStartupTasks();
 });
 
-// Initialize on startup
-initialize();
+// Functions extension pages can call with runtime.sendMessage({ type, args })
+const messageHandlers = {
+  associateWindowWithFolder,
+  createFolderForWindow,
+  disassociateWindow,
+  setSyncMode,
+  openFolderAsNewWindow,
+  openFolderInWindow,
+  stashWindow,
+  moveTabsToGroup,
+  getDashboardGroups,
+  renameGroup,
+  unsyncGroup,
+  deleteGroup,
+  getWindowMappings: () => windowMappings,
+  getFolderWindowId,
+  getAllBookmarkFolders,
+  searchFolders,
+  getFolderLastUsed: () => folderLastUsed,
+  getRestoreProgress: (windowId) => restoreProgress[windowId] || null,
+  getPendingReattachments: () => pendingReattachments,
+  confirmReattachment,
+  dismissReattachment,
+  getTrash: () => syncTrash,
+  restoreTrashEntry,
+  restoreTrashBatch,
+  emptyTrash,
+  getSnapshots: (folderId) => folderSnapshots[folderId] || [],
+  getSnapshotSettings: () => snapshotSettings,
+  setSnapshotSettings,
+  recordSnapshot,
+  compareSnapshot,
+  restoreSnapshotToFolder,
+  restoreSnapshotAsNewFolder,
+  getKnownGroups,
+  getSettings: () => settings,
+  setSettings,
+  getFolderContainer: (folderId) => folderContainers[folderId] || null,
+  getFolderSyncMode: (folderId) => folderSyncModes[folderId] || SYNC_MODE_TWO_WAY,
+  setFolderContainer,
+  reopenTabsInContainer,
+  isTemplateFolder: (folderId) => Boolean(templateFolders[folderId]),
+  setFolderTemplate,
+  getTemplates,
+  openTemplate,
+  getUrlRules: () => urlRules,
+  setUrlRules,
+  getSyncUrl,
+  checkSyncableUrls,
+  exportGroups,
+  importGroups,
+  verifyWindow,
+  repairWindow,
+  mergeGroups,
+  splitGroup
+};
 
-// Export functions for use by popup
-window.associateWindowWithFolder = associateWindowWithFolder;
-window.createFolderForWindow = createFolderForWindow;
-window.disassociateWindow = disassociateWindow;
-window.openFolderAsNewWindow = openFolderAsNewWindow;
-window.getWindowMappings = () => windowMappings;
-window.getFolderLastUsed = () => folderLastUsed;
+// Requests from extension pages. Other messages are broadcasts between pages
+// (such as groupsChanged), which are left unanswered.
+browser.runtime.onMessage.addListener((message) => {
+  if (!Object.hasOwn(messageHandlers, message.type)) return undefined;
+
+  return ensureState().then(() => messageHandlers[message.type](...(message.args || [])));
+});
@@ -0,0 +1,410 @@
+// Identifies (and versions) the JSON export schema
+const EXPORT_FORMAT = 'tab-group-bookmarks';
+const EXPORT_VERSION = 1;
+
+/**
+ * Call a background function by name, through runtime messaging
+ */
+function callBackground(type, ...args) {
+  return browser.runtime.sendMessage({ type, args });
+}
+
+/**
+ * Initialize the page
+ */
+async function initialize() {
+  await loadGroups();
+  setupEventListeners();
+}
+
+/**
+ * Load known groups into the export dropdown
+ */
+async function loadGroups() {
+  const select = document.getElementById('export-group-select');
+  const groups = await callBackground('getKnownGroups');
+
+  for (const group of groups) {
+    const option = document.createElement('option');
+    option.value = group.folderId;
+    option.textContent = group.title;
+    select.appendChild(option);
+  }
+}
+
+// ============================================================================
+// Export formats
+// ============================================================================
+
+/**
+ * Versioned JSON: the only format that keeps pinned state and last-used time
+ */
+function toJson(groups) {
+  return JSON.stringify({
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    groups
+  }, null, 2);
+}
+
+/**
+ * Escape text for HTML output
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Standard Netscape bookmark file, one folder per group and a subfolder per tab group
+ */
+function toNetscapeHtml(groups) {
+  const lines = [
+    '<!DOCTYPE NETSCAPE-Bookmark-file-1>',
+    '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">',
+    '<TITLE>Bookmarks</TITLE>',
+    '<H1>Bookmarks</H1>',
+    '<DL><p>'
+  ];
+
+  for (const group of groups) {
+    lines.push(`    <DT><H3>${escapeHtml(group.title)}</H3>`);
+    lines.push('    <DL><p>');
+
+    let openGroup = null;
+    for (const tab of group.tabs) {
+      if (tab.group !== openGroup) {
+        if (openGroup !== null) {
+          lines.push('        </DL><p>');
+        }
+        if (tab.group !== null) {
+          lines.push(`        <DT><H3>${escapeHtml(tab.group)}</H3>`);
+          lines.push('        <DL><p>');
+        }
+        openGroup = tab.group;
+      }
+      const indent = openGroup !== null ? '            ' : '        ';
+      lines.push(`${indent}<DT><A HREF="${escapeHtml(tab.url)}">${escapeHtml(tab.title || tab.url)}</A>`);
+    }
+    if (openGroup !== null) {
+      lines.push('        </DL><p>');
+    }
+
+    lines.push('    </DL><p>');
+  }
+
+  lines.push('</DL><p>');
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * OneTab-style list: "url | title" per line, groups separated by a blank line
+ */
+function toUrlList(groups) {
+  return groups
+    .map(group => group.tabs.map(tab => tab.title ? `${tab.url} | ${tab.title}` : tab.url).join('\n'))
+    .join('\n\n') + '\n';
+}
+
+/**
+ * Offer text as a file download
+ */
+function downloadText(text, filename, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// ============================================================================
+// Import formats
+// ============================================================================
+
+/**
+ * Check that a URL can be imported; returns the reason it can't, or null
+ */
+function getSkipReason(url) {
+  if (!url) return 'missing URL';
+  try {
+    new URL(url);
+  } catch (error) {
+    return 'invalid URL';
+  }
+  return null;
+}
+
+/**
+ * Keep importable tabs, recording the rest in skipped
+ */
+function validateTabs(tabs, skipped) {
+  return tabs.filter(tab => {
+    const reason = getSkipReason(tab.url);
+    if (reason) {
+      skipped.push({ entry: tab.url || tab.title || '(empty)', reason });
+      return false;
+    }
+    return true;
+  });
+}
+
+/**
+ * Keep the entries of a JSON list that are objects, recording the rest in skipped
+ */
+function keepObjects(values, kind, skipped) {
+  return values.filter(value => {
+    if (value !== null && typeof value === 'object' && !Array.isArray(value)) return true;
+    skipped.push({ entry: JSON.stringify(value), reason: `not a ${kind}` });
+    return false;
+  });
+}
+
+/**
+ * Parse our own JSON export
+ */
+function parseJson(text, skipped) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error('Not valid JSON: ' + error.message);
+  }
+
+  if (data.format !== EXPORT_FORMAT || !Array.isArray(data.groups)) {
+    throw new Error('This JSON file is not a tab group export');
+  }
+  if (data.version > EXPORT_VERSION) {
+    throw new Error(`This export is version ${data.version}; this extension reads up to version ${EXPORT_VERSION}`);
+  }
+
+  return keepObjects(data.groups, 'group', skipped).map((group, i) => ({
+    title: typeof group.title === 'string' && group.title ? group.title : `Imported group ${i + 1}`,
+    lastUsed: Number.isFinite(group.lastUsed) ? group.lastUsed : null,
+    tabs: validateTabs(keepObjects(Array.isArray(group.tabs) ? group.tabs : [], 'tab', skipped).map(tab => ({
+      url: typeof tab.url === 'string' ? tab.url : '',
+      title: typeof tab.title === 'string' ? tab.title : '',
+      group: typeof tab.group === 'string' ? tab.group : null,
+      pinned: tab.pinned === true
+    })), skipped)
+  }));
+}
+
+/**
+ * Parse a Netscape bookmark file. Each folder holding links becomes a group;
+ * its direct subfolders become tab groups. Loose top-level links form one group.
+ */
+function parseNetscapeHtml(text, skipped) {
+  const doc = new DOMParser().parseFromString(text, 'text/html');
+  const groups = [];
+
+  // <DT><H3>Title</H3><DL>...</DL> - the DL follows the H3 inside the same DT
+  const getFolderList = (dt) => {
+    const list = dt.querySelector(':scope > dl');
+    if (list) return list;
+    // Some exporters put the DL as the DT's next sibling
+    const next = dt.nextElementSibling;
+    return next && next.tagName === 'DL' ? next : null;
+  };
+
+  const readLinks = (list, groupTitle) => {
+    const tabs = [];
+    for (const dt of list.querySelectorAll(':scope > dt')) {
+      const link = dt.querySelector(':scope > a');
+      if (link) {
+        tabs.push({ url: link.getAttribute('href') || '', title: link.textContent.trim(), group: groupTitle, pinned: false });
+      }
+    }
+    return tabs;
+  };
+
+  const visit = (list) => {
+    const looseTabs = readLinks(list, null);
+    if (looseTabs.length > 0 && list === rootList) {
+      groups.push({ title: 'Imported bookmarks', lastUsed: null, tabs: validateTabs(looseTabs, skipped) });
+    }
+
+    for (const dt of list.querySelectorAll(':scope > dt')) {
+      const heading = dt.querySelector(':scope > h3');
+      const folderList = heading && getFolderList(dt);
+      if (!folderList) continue;
+
+      const tabs = readLinks(folderList, null);
+      for (const subDt of folderList.querySelectorAll(':scope > dt')) {
+        const subHeading = subDt.querySelector(':scope > h3');
+        const subList = subHeading && getFolderList(subDt);
+        if (subList) {
+          tabs.push(...readLinks(subList, subHeading.textContent.trim()));
+        }
+      }
+
+      if (tabs.length > 0) {
+        groups.push({ title: heading.textContent.trim() || 'Imported group', lastUsed: null, tabs: validateTabs(tabs, skipped) });
+      } else {
+        // A folder of folders: look for groups further down
+        visit(folderList);
+      }
+    }
+  };
+
+  const rootList = doc.querySelector('dl');
+  if (!rootList) {
+    throw new Error('No bookmarks found in this HTML file');
+  }
+  visit(rootList);
+  return groups;
+}
+
+/**
+ * Parse newline-separated URLs, optionally "url | title" (OneTab), one group per block
+ */
+function parseUrlList(text, skipped) {
+  const blocks = text.split(/\r?\n\s*\r?\n/).map(block => block.trim()).filter(Boolean);
+
+  return blocks.map((block, i) => ({
+    title: `Imported group ${i + 1}`,
+    lastUsed: null,
+    tabs: validateTabs(block.split(/\r?\n/).map(line => line.trim()).filter(Boolean).map(line => {
+      const separator = line.indexOf(' | ');
+      return separator === -1
+        ? { url: line, title: '', group: null, pinned: false }
+        : { url: line.slice(0, separator).trim(), title: line.slice(separator + 3).trim(), group: null, pinned: false };
+    }), skipped)
+  }));
+}
+
+/**
+ * Drop tabs whose URL sync would skip (unsupported schemes or global exclusion
+ * rules), recording them in skipped
+ */
+async function removeUnsyncableTabs(groups, skipped) {
+  for (const group of groups) {
+    const syncable = await callBackground('checkSyncableUrls', group.tabs.map(tab => tab.url));
+    group.tabs = group.tabs.filter((tab, i) => {
+      if (!syncable[i]) {
+        skipped.push({ entry: tab.url, reason: 'unsupported or excluded URL' });
+      }
+      return syncable[i];
+    });
+  }
+}
+
+/**
+ * Detect the format of pasted or loaded text and parse it
+ */
+function parseImport(text, skipped) {
+  const trimmed = text.trim();
+  if (trimmed.startsWith('{')) {
+    return parseJson(trimmed, skipped);
+  }
+  if (/^<!DOCTYPE NETSCAPE-Bookmark-file/i.test(trimmed) || /<dl/i.test(trimmed)) {
+    return parseNetscapeHtml(trimmed, skipped);
+  }
+  return parseUrlList(trimmed, skipped);
+}
+
+/**
+ * Show what was imported and what was skipped
+ */
+function showImportReport(folders, tabCount, skipped) {
+  const report = document.getElementById('import-report');
+  report.textContent = '';
+  report.classList.remove('hidden');
+
+  const summary = document.createElement('p');
+  summary.textContent = `Imported ${folders.length} group${folders.length === 1 ? '' : 's'} (${tabCount} tab${tabCount === 1 ? '' : 's'}).`;
+  report.appendChild(summary);
+
+  if (skipped.length > 0) {
+    const heading = document.createElement('p');
+    heading.textContent = `Skipped ${skipped.length} entr${skipped.length === 1 ? 'y' : 'ies'}:`;
+    const list = document.createElement('ul');
+    for (const { entry, reason } of skipped) {
+      const item = document.createElement('li');
+      item.textContent = `${entry} (${reason})`;
+      list.appendChild(item);
+    }
+    report.append(heading, list);
+  }
+}
+
+/**
+ * Set up event listeners
+ */
+function setupEventListeners() {
+  // Export button
+  document.getElementById('export-btn').addEventListener('click', async () => {
+    const groupSelect = document.getElementById('export-group-select');
+    const format = document.getElementById('export-format-select').value;
+
+    try {
+      const folderIds = groupSelect.value
+        ? [groupSelect.value]
+        : Array.from(groupSelect.options).map(option => option.value).filter(Boolean);
+      const groups = await callBackground('exportGroups', folderIds);
+
+      const date = new Date().toISOString().slice(0, 10);
+      const baseName = groupSelect.value ? groups[0].title.replace(/[^\w -]+/g, '_') : 'tab-groups';
+
+      if (format === 'json') {
+        downloadText(toJson(groups), `${baseName}-${date}.json`, 'application/json');
+      } else if (format === 'html') {
+        downloadText(toNetscapeHtml(groups), `${baseName}-${date}.html`, 'text/html');
+      } else {
+        downloadText(toUrlList(groups), `${baseName}-${date}.txt`, 'text/plain');
+      }
+    } catch (error) {
+      console.error('Error exporting groups:', error);
+      alert('Failed to export: ' + error.message);
+    }
+  });
+
+  // Load a chosen file into the text area
+  document.getElementById('import-file').addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    if (file) {
+      document.getElementById('import-text').value = await file.text();
+    }
+  });
+
+  // Import button
+  document.getElementById('import-btn').addEventListener('click', async () => {
+    const text = document.getElementById('import-text').value;
+    const openAfterImport = document.getElementById('import-open').checked;
+
+    if (!text.trim()) {
+      alert('Please choose a file or paste something to import');
+      return;
+    }
+
+    try {
+      const skipped = [];
+      const parsedGroups = parseImport(text, skipped);
+      await removeUnsyncableTabs(parsedGroups, skipped);
+
+      const groups = parsedGroups.filter(group => {
+        if (group.tabs.length === 0) {
+          skipped.push({ entry: group.title, reason: 'no importable tabs' });
+          return false;
+        }
+        return true;
+      });
+
+      const folders = await callBackground('importGroups', groups, openAfterImport);
+      const tabCount = groups.reduce((count, group) => count + group.tabs.length, 0);
+      showImportReport(folders, tabCount, skipped);
+    } catch (error) {
+      console.error('Error importing groups:', error);
+      alert('Failed to import: ' + error.message);
+    }
+  });
+}
+
+// Initialize when the page loads
+initialize();
@@ -0,0 +1,249 @@
+// Labels for rule types and actions
+const RULE_TYPE_LABELS = {
+  prefix: 'URL starts with',
+  domain: 'Domain (and subdomains)',
+  regex: 'Regular expression'
+};
+const RULE_ACTION_LABELS = {
+  exclude: "Don't sync",
+  include: 'Sync'
+};
+
+// Rules being edited, saved all at once
+// Format: same as the background's urlRules
+let editedRules = null;
+
+/**
+ * Call a background function by name, through runtime messaging
+ */
+function callBackground(type, ...args) {
+  return browser.runtime.sendMessage({ type, args });
+}
+
+/**
+ * Initialize the options page
+ */
+async function initialize() {
+  // Messages arrive as copies, so the rules can be edited in place
+  editedRules = await callBackground('getUrlRules');
+
+  await loadScopes();
+  renderRules();
+  await loadRootFolders();
+
+  const settings = await callBackground('getSettings');
+  document.getElementById('container-mismatch-select').value = settings.containerMismatch;
+  document.getElementById('folder-deleted-select').value = settings.folderDeleted;
+  document.getElementById('group-root-select').value = settings.groupRootFolderId || '';
+  document.getElementById('auto-group-checkbox').checked = settings.autoGroupNewWindows;
+  document.getElementById('auto-group-template-input').value = settings.autoGroupTitleTemplate;
+  setupEventListeners();
+}
+
+/**
+ * Load known groups into the rule scope dropdown
+ */
+async function loadScopes() {
+  const select = document.getElementById('rule-scope-select');
+  const groups = await callBackground('getKnownGroups');
+
+  for (const group of groups) {
+    const option = document.createElement('option');
+    option.value = group.folderId;
+    const ruleCount = (editedRules.groups[group.folderId] || []).length;
+    option.textContent = ruleCount > 0 ? `${group.title} (${ruleCount} rule${ruleCount === 1 ? '' : 's'})` : group.title;
+    select.appendChild(option);
+  }
+}
+
+/**
+ * Load every bookmark folder, by path, into the group root dropdown
+ */
+async function loadRootFolders() {
+  const select = document.getElementById('group-root-select');
+  const folders = await callBackground('getAllBookmarkFolders');
+  folders.sort((a, b) => a.path.localeCompare(b.path));
+
+  for (const folder of folders) {
+    const option = document.createElement('option');
+    option.value = folder.id;
+    option.textContent = folder.path;
+    select.appendChild(option);
+  }
+}
+
+/**
+ * Save a general setting
+ */
+async function saveSetting(key, value) {
+  try {
+    await callBackground('setSettings', { [key]: value });
+  } catch (error) {
+    console.error('Error saving setting:', error);
+    alert('Failed to save setting: ' + error.message);
+  }
+}
+
+/**
+ * Get the rule list for the selected scope, creating it if needed
+ */
+function getScopeRules() {
+  const folderId = document.getElementById('rule-scope-select').value;
+  if (!folderId) {
+    return editedRules.global;
+  }
+  if (!editedRules.groups[folderId]) {
+    editedRules.groups[folderId] = [];
+  }
+  return editedRules.groups[folderId];
+}
+
+/**
+ * Create a dropdown for one rule field
+ */
+function createRuleSelect(labels, value, onChange) {
+  const select = document.createElement('select');
+  select.className = 'folder-select';
+  for (const key in labels) {
+    const option = document.createElement('option');
+    option.value = key;
+    option.textContent = labels[key];
+    select.appendChild(option);
+  }
+  select.value = value;
+  select.addEventListener('change', () => onChange(select.value));
+  return select;
+}
+
+/**
+ * Show the selected scope's rules
+ */
+function renderRules() {
+  const rules = getScopeRules();
+  const list = document.getElementById('rule-list');
+  list.textContent = '';
+
+  rules.forEach((rule, index) => {
+    const item = document.createElement('li');
+    item.className = 'rule-item';
+
+    const actionSelect = createRuleSelect(RULE_ACTION_LABELS, rule.action, value => { rule.action = value; });
+    const typeSelect = createRuleSelect(RULE_TYPE_LABELS, rule.type, value => { rule.type = value; });
+
+    const patternInput = document.createElement('input');
+    patternInput.type = 'text';
+    patternInput.value = rule.pattern;
+    patternInput.placeholder = rule.type === 'domain' ? 'example.com' : 'https://example.com/login';
+    patternInput.addEventListener('input', () => { rule.pattern = patternInput.value.trim(); });
+
+    const upButton = document.createElement('button');
+    upButton.className = 'btn btn-secondary btn-small';
+    upButton.textContent = '↑';
+    upButton.title = 'Check this rule earlier';
+    upButton.disabled = index === 0;
+    upButton.addEventListener('click', () => {
+      rules.splice(index - 1, 0, ...rules.splice(index, 1));
+      renderRules();
+    });
+
+    const removeButton = document.createElement('button');
+    removeButton.className = 'btn btn-secondary btn-small';
+    removeButton.textContent = 'Remove';
+    removeButton.addEventListener('click', () => {
+      rules.splice(index, 1);
+      renderRules();
+    });
+
+    item.append(actionSelect, typeSelect, patternInput, upButton, removeButton);
+    list.appendChild(item);
+  });
+
+  document.getElementById('no-rules-message').classList.toggle('hidden', rules.length > 0);
+  updateTestResult();
+}
+
+/**
+ * Show whether the test URL is synced for the selected scope (with the saved rules)
+ */
+async function updateTestResult() {
+  const url = document.getElementById('test-url-input').value.trim();
+  const result = document.getElementById('test-result');
+  if (!url) {
+    result.textContent = '';
+    return;
+  }
+
+  const folderId = document.getElementById('rule-scope-select').value || null;
+  const syncUrl = await callBackground('getSyncUrl', url, folderId);
+
+  // The URL was edited again while the background answered
+  if (document.getElementById('test-url-input').value.trim() !== url) return;
+
+  if (!syncUrl) {
+    result.textContent = 'Not synced (with the saved rules).';
+  } else if (syncUrl !== url) {
+    result.textContent = `Synced as ${syncUrl} (with the saved rules).`;
+  } else {
+    result.textContent = 'Synced (with the saved rules).';
+  }
+}
+
+/**
+ * Set up event listeners
+ */
+function setupEventListeners() {
+  document.getElementById('rule-scope-select').addEventListener('change', renderRules);
+
+  document.getElementById('add-rule-btn').addEventListener('click', () => {
+    getScopeRules().push({ type: 'prefix', pattern: '', action: 'exclude' });
+    renderRules();
+    const inputs = document.querySelectorAll('#rule-list input[type="text"]');
+    inputs[inputs.length - 1].focus();
+  });
+
+  document.getElementById('save-rules-btn').addEventListener('click', async () => {
+    const status = document.getElementById('save-status');
+    try {
+      // Rules left without a pattern are dropped rather than rejected
+      editedRules.global = editedRules.global.filter(rule => rule.pattern);
+      for (const folderId in editedRules.groups) {
+        editedRules.groups[folderId] = editedRules.groups[folderId].filter(rule => rule.pattern);
+      }
+
+      await callBackground('setUrlRules', editedRules);
+      renderRules();
+      status.textContent = 'Rules saved. Synced windows are being updated.';
+      status.classList.remove('hidden');
+    } catch (error) {
+      console.error('Error saving URL rules:', error);
+      alert('Failed to save rules: ' + error.message);
+    }
+  });
+
+  document.getElementById('test-url-input').addEventListener('input', updateTestResult);
+
+  // General settings, saved as soon as they change
+  const settingSelects = {
+    'container-mismatch-select': 'containerMismatch',
+    'folder-deleted-select': 'folderDeleted'
+  };
+  for (const [selectId, key] of Object.entries(settingSelects)) {
+    document.getElementById(selectId).addEventListener('change', (e) => saveSetting(key, e.target.value));
+  }
+
+  document.getElementById('group-root-select').addEventListener('change', (e) => {
+    saveSetting('groupRootFolderId', e.target.value || null);
+  });
+
+  document.getElementById('auto-group-checkbox').addEventListener('change', (e) => {
+    saveSetting('autoGroupNewWindows', e.target.checked);
+  });
+
+  // Saved once editing is done, not on every keystroke
+  document.getElementById('auto-group-template-input').addEventListener('change', (e) => {
+    saveSetting('autoGroupTitleTemplate', e.target.value.trim());
+  });
+}
+
+// Initialize when the page loads
+initialize();
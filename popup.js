@@ -1,8 +1,35 @@
 // Get current window ID
 let currentWindowId = null;
 
-// Get references to background page functions
-const backgroundPage = browser.extension.getBackgroundPage();
+// The current window's mapping, if it is synced (refreshed by updateUI)
+let currentMapping = null;
+
+// Headings for each kind of difference found by Verify & Repair, in display order
+const DIFF_CHANGE_LABELS = {
+  tabMissing: 'Tabs not in the folder',
+  bookmarkMissing: 'Bookmarks not open as tabs',
+  url: 'Different URL',
+  title: 'Different title (only the folder can be updated)',
+  pinned: 'Different pinned state',
+  group: 'Different tab group',
+  order: 'Out of order'
+};
+
+// Most folders a folder picker lists at once; typing narrows down the rest
+const MAX_PICKER_RESULTS = 100;
+
+// Folder pickers for "Use Existing Folder", "Open Folder" and merging
+let syncFolderPicker = null;
+let openFolderPicker = null;
+let mergeFolderPicker = null;
+
+/**
+ * Call a background function by name. The background is an event page that may
+ * not be running, so it is reached through messages rather than its globals.
+ */
+function callBackground(type, ...args) {
+  return browser.runtime.sendMessage({ type, args });
+}
 
 /**
  * Initialize the popup
@@ -15,8 +42,30 @@ async function initialize() {
   // Update UI based on sync status
   await updateUI();
 
-  // Load bookmark folders into dropdown
-  await loadBookmarkFolders();
+  // Show progress if this window's group is still being restored
+  showRestoreProgress(await callBackground('getRestoreProgress', currentWindowId));
+
+  // Show restored windows that may belong to a folder
+  await loadPendingReattachments();
+
+  // Show template folders
+  await loadTemplates();
+
+  // Show tabs and bookmarks removed by sync
+  await loadTrash();
+
+  // Folder pickers search the bookmarks each time they open
+  syncFolderPicker = createFolderPicker(document.getElementById('folder-picker'), (folder) => {
+    document.getElementById('sync-folder-btn').disabled = !folder;
+  });
+  openFolderPicker = createFolderPicker(document.getElementById('open-folder-picker'), async (folder) => {
+    document.getElementById('open-folder-btn').disabled = !folder;
+    await updateMarkTemplateButton();
+    await updateOpenModes();
+  });
+  mergeFolderPicker = createFolderPicker(document.getElementById('merge-folder-picker'), (folder) => {
+    document.getElementById('merge-btn').disabled = !folder;
+  });
 
   // Set up event listeners
   setupEventListeners();
@@ -26,102 +75,706 @@ async function initialize() {
  * Update the UI based on current sync status
  */
 async function updateUI() {
-  const mappings = backgroundPage.getWindowMappings();
-  const mapping = mappings[currentWindowId];
+  const mappings = await callBackground('getWindowMappings');
+  const mapping = mappings[currentWindowId] || null;
+  currentMapping = mapping;
 
   const syncedStatus = document.getElementById('synced-status');
   const unsyncedStatus = document.getElementById('unsynced-status');
   const actionsSection = document.getElementById('actions');
+  const snapshotSection = document.getElementById('snapshot-section');
+  const verifySection = document.getElementById('verify-section');
+  const mergeSplitSection = document.getElementById('merge-split-section');
 
   if (mapping) {
     // Window is synced
     syncedStatus.classList.remove('hidden');
     unsyncedStatus.classList.add('hidden');
     actionsSection.classList.add('hidden');
+    snapshotSection.classList.remove('hidden');
+    verifySection.classList.remove('hidden');
+    mergeSplitSection.classList.remove('hidden');
 
     document.getElementById('folder-name').textContent = mapping.folderTitle;
+    document.getElementById('sync-mode-select').value = mapping.syncMode || 'twoWay';
+    await loadContainers(mapping.folderId);
+    await loadSnapshots();
+    await updateSplitSummary();
   } else {
     // Window is not synced
     syncedStatus.classList.add('hidden');
     unsyncedStatus.classList.remove('hidden');
     actionsSection.classList.remove('hidden');
+    snapshotSection.classList.add('hidden');
+    verifySection.classList.add('hidden');
+    mergeSplitSection.classList.add('hidden');
   }
 }
 
 /**
- * Load all bookmark folders into the dropdowns
+ * Load Firefox containers into the container picker and flag tabs outside the
+ * folder's container. The picker is hidden when containers are turned off.
  */
-async function loadBookmarkFolders() {
-  const syncSelect = document.getElementById('folder-select');
-  const openSelect = document.getElementById('open-folder-select');
+async function loadContainers(folderId) {
+  const group = document.getElementById('container-group');
+  const select = document.getElementById('container-select');
 
-  // Get all bookmark folders
-  const bookmarkTree = await browser.bookmarks.getTree();
+  let identities = [];
+  try {
+    identities = await browser.contextualIdentities.query({});
+  } catch (error) {
+    // Containers are disabled
+  }
 
-  // Get last used timestamps
-  const folderLastUsed = backgroundPage.getFolderLastUsed();
+  group.classList.toggle('hidden', identities.length === 0);
+  if (identities.length === 0) return;
 
-  // Clear existing options (except the first placeholder) from both dropdowns
-  while (syncSelect.options.length > 1) {
-    syncSelect.remove(1);
+  while (select.options.length > 1) {
+    select.remove(1);
   }
-  while (openSelect.options.length > 1) {
-    openSelect.remove(1);
+  for (const identity of identities) {
+    const option = document.createElement('option');
+    option.value = identity.cookieStoreId;
+    option.textContent = identity.name;
+    select.appendChild(option);
   }
 
-  // Firefox built-in root folder IDs to exclude
-  const rootFolderIds = new Set([
-    'root________',  // Root
-    'menu________',  // Bookmarks Menu
-    'toolbar_____',  // Bookmarks Toolbar
-    'unfiled_____',  // Other Bookmarks
-    'mobile______'   // Mobile Bookmarks
-  ]);
+  const cookieStoreId = await callBackground('getFolderContainer', folderId);
+  select.value = cookieStoreId || '';
 
-  // Collect all folders with their metadata
-  const allFolders = [];
+  // Flag synced tabs that are in a different container
+  const warning = document.getElementById('container-warning');
+  let mismatchCount = 0;
+  if (cookieStoreId) {
+    const tabs = await browser.tabs.query({ windowId: currentWindowId });
+    const outsideTabs = tabs.filter(tab => tab.cookieStoreId !== cookieStoreId);
+    const syncable = await callBackground('checkSyncableUrls', outsideTabs.map(tab => tab.url), folderId);
+    mismatchCount = syncable.filter(Boolean).length;
+  }
+  warning.classList.toggle('hidden', mismatchCount === 0);
+  document.getElementById('container-warning-text').textContent =
+    `${mismatchCount} tab${mismatchCount === 1 ? ' is' : 's are'} outside this group's container.`;
+}
 
-  // Recursively traverse bookmark tree to find folders
-  function traverseTree(nodes, depth = 0) {
-    for (const node of nodes) {
-      if (node.type === 'folder' || (!node.url && node.children)) {
-        // Skip root folders with special IDs
-        if (!rootFolderIds.has(node.id) && node.title) {
-          allFolders.push({
-            id: node.id,
-            title: node.title,
-            depth: depth,
-            lastUsed: folderLastUsed[node.id] || 0
-          });
-        }
+/**
+ * Show how many tabs of a group restore have been created
+ */
+function showRestoreProgress(progress) {
+  const element = document.getElementById('restore-progress');
+  element.classList.toggle('hidden', !progress);
+  if (progress) {
+    element.textContent = `Restoring tabs: ${progress.created} of ${progress.total}`;
+  }
+}
 
-        // Recursively process children
-        if (node.children) {
-          traverseTree(node.children, depth + 1);
-        }
+/**
+ * Show suggested re-attachments for restored windows
+ */
+async function loadPendingReattachments() {
+  const section = document.getElementById('reattach-section');
+  const list = document.getElementById('reattach-list');
+  const pending = await callBackground('getPendingReattachments');
+
+  list.textContent = '';
+  section.classList.toggle('hidden', pending.length === 0);
+
+  for (const suggestion of pending) {
+    // Describe the window by its active tab
+    const [activeTab] = await browser.tabs.query({ windowId: suggestion.windowId, active: true });
+    const windowLabel = suggestion.windowId === currentWindowId
+      ? 'This window'
+      : (activeTab ? activeTab.title : `Window ${suggestion.windowId}`);
+
+    const item = document.createElement('li');
+    item.className = 'reattach-item';
+
+    const label = document.createElement('span');
+    label.className = 'reattach-label';
+    label.textContent = `${windowLabel} → ${suggestion.folderTitle} `;
+    label.title = label.textContent;
+
+    const score = document.createElement('span');
+    score.className = 'reattach-score';
+    score.textContent = `(${Math.round(suggestion.score * 100)}% match)`;
+    label.appendChild(score);
+
+    const confirmBtn = document.createElement('button');
+    confirmBtn.className = 'btn btn-primary';
+    confirmBtn.textContent = 'Sync';
+    confirmBtn.addEventListener('click', async () => {
+      try {
+        await callBackground('confirmReattachment', suggestion.windowId, suggestion.folderId);
+        await updateUI();
+        await loadPendingReattachments();
+      } catch (error) {
+        console.error('Error re-syncing window:', error);
+        alert('Failed to sync window: ' + error.message);
       }
+    });
+
+    const dismissBtn = document.createElement('button');
+    dismissBtn.className = 'btn btn-secondary';
+    dismissBtn.textContent = 'Dismiss';
+    dismissBtn.addEventListener('click', async () => {
+      await callBackground('dismissReattachment', suggestion.windowId, suggestion.folderId);
+      await loadPendingReattachments();
+    });
+
+    item.append(label, confirmBtn, dismissBtn);
+    list.appendChild(item);
+  }
+}
+
+/**
+ * List template folders with buttons to open them
+ */
+async function loadTemplates() {
+  const section = document.getElementById('templates-section');
+  const list = document.getElementById('template-list');
+  const templates = await callBackground('getTemplates');
+
+  list.textContent = '';
+  section.classList.toggle('hidden', templates.length === 0);
+
+  for (const template of templates) {
+    const item = document.createElement('li');
+    item.className = 'reattach-item';
+
+    const label = document.createElement('span');
+    label.className = 'reattach-label';
+    label.textContent = template.title;
+    label.title = template.title;
+
+    const openBtn = document.createElement('button');
+    openBtn.className = 'btn btn-secondary btn-small';
+    openBtn.textContent = 'Open';
+    openBtn.title = 'Open in a new window that isn\'t synced';
+
+    const copyBtn = document.createElement('button');
+    copyBtn.className = 'btn btn-primary btn-small';
+    copyBtn.textContent = 'Copy';
+    copyBtn.title = 'Copy to a new dated folder and open it synced';
+
+    for (const [button, asClone] of [[openBtn, false], [copyBtn, true]]) {
+      button.addEventListener('click', async () => {
+        try {
+          await callBackground('openTemplate', template.folderId, asClone);
+          window.close();
+        } catch (error) {
+          console.error('Error opening template:', error);
+          alert('Failed to open template: ' + error.message);
+        }
+      });
     }
+
+    item.append(label, openBtn, copyBtn);
+    list.appendChild(item);
   }
+}
 
-  traverseTree(bookmarkTree);
+/**
+ * Show whether the folder chosen under "Open Folder" is a template
+ */
+async function updateMarkTemplateButton() {
+  const folder = openFolderPicker.getSelected();
+  const folderId = folder ? folder.id : null;
+  const button = document.getElementById('mark-template-btn');
+  button.disabled = !folderId;
+  button.textContent = folderId && await callBackground('isTemplateFolder', folderId) ? 'Unmark Template' : 'Mark as Template';
+}
 
-  // Sort folders by last used (most recent first)
-  allFolders.sort((a, b) => b.lastUsed - a.lastUsed);
+/**
+ * Offer only the open modes the folder chosen under "Open Folder" supports: a
+ * read-only folder would close the tabs a merge or append keeps
+ */
+async function updateOpenModes() {
+  const folder = openFolderPicker.getSelected();
+  const readOnly = Boolean(folder) && await callBackground('getFolderSyncMode', folder.id) === 'readOnly';
+  const select = document.getElementById('open-mode-select');
 
-  // Add sorted folders to both dropdowns
-  for (const folder of allFolders) {
-    // Add to sync dropdown
-    const syncOption = document.createElement('option');
-    syncOption.value = folder.id;
-    syncOption.textContent = '  '.repeat(folder.depth) + folder.title;
-    syncSelect.appendChild(syncOption);
+  for (const value of ['merge', 'append']) {
+    select.querySelector(`option[value="${value}"]`).disabled = readOnly;
+  }
+  if (select.selectedOptions[0].disabled) {
+    select.value = 'replace';
+  }
+}
 
-    // Add to open dropdown
-    const openOption = document.createElement('option');
-    openOption.value = folder.id;
-    openOption.textContent = '  '.repeat(folder.depth) + folder.title;
-    openSelect.appendChild(openOption);
+/**
+ * Format a timestamp relative to now, e.g. "5 min ago"
+ */
+function formatRelativeTime(timestamp) {
+  const minutes = Math.round((Date.now() - timestamp) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes} min ago`;
+
+  const hours = Math.round(minutes / 60);
+  if (hours < 24) return `${hours} h ago`;
+
+  const days = Math.round(hours / 24);
+  return `${days} d ago`;
+}
+
+/**
+ * Get the folder the current window is synced with, if any
+ */
+function getCurrentFolderId() {
+  return currentMapping ? currentMapping.folderId : null;
+}
+
+/**
+ * Load the current folder's snapshot history into the snapshot picker
+ */
+async function loadSnapshots() {
+  const folderId = getCurrentFolderId();
+  if (!folderId) return;
+
+  document.getElementById('snapshots-enabled').checked = (await callBackground('getSnapshotSettings')).enabled;
+
+  const select = document.getElementById('snapshot-select');
+  while (select.options.length > 1) {
+    select.remove(1);
   }
+
+  const reasons = {
+    'scheduled': 'scheduled',
+    'before-change': 'before large change',
+    'before-restore': 'before restore',
+    'before-merge': 'before merge',
+    'before-split': 'before split',
+    'manual': 'manual'
+  };
+
+  for (const snapshot of await callBackground('getSnapshots', folderId)) {
+    const option = document.createElement('option');
+    option.value = snapshot.id;
+    option.textContent = `${new Date(snapshot.takenAt).toLocaleString()} · ${reasons[snapshot.reason] || snapshot.reason} (${snapshot.items.length} tabs)`;
+    select.appendChild(option);
+  }
+
+  showSnapshotDiff();
+}
+
+/**
+ * Show how the selected snapshot differs from the folder's current state
+ */
+async function showSnapshotDiff() {
+  const folderId = getCurrentFolderId();
+  const snapshotId = document.getElementById('snapshot-select').value;
+  const diffContainer = document.getElementById('snapshot-diff');
+  const actions = document.getElementById('snapshot-actions');
+
+  diffContainer.textContent = '';
+  diffContainer.classList.toggle('hidden', !snapshotId);
+  actions.classList.toggle('hidden', !snapshotId);
+  if (!folderId || !snapshotId) return;
+
+  const diff = await callBackground('compareSnapshot', folderId, snapshotId);
+
+  const addList = (heading, items, className) => {
+    if (items.length === 0) return;
+    const title = document.createElement('div');
+    title.textContent = heading;
+    const list = document.createElement('ul');
+    list.className = className;
+    for (const item of items) {
+      const li = document.createElement('li');
+      li.textContent = item.title || item.url;
+      li.title = item.url;
+      list.appendChild(li);
+    }
+    diffContainer.append(title, list);
+  };
+
+  addList('Would be restored:', diff.removed, 'diff-added');
+  addList('Would be removed:', diff.added, 'diff-removed');
+  addList('Would be pinned:', diff.pinnedRemoved.map(url => ({ url })), 'diff-added');
+  addList('Would be unpinned:', diff.pinnedAdded.map(url => ({ url })), 'diff-removed');
+
+  if (diff.reordered) {
+    const note = document.createElement('div');
+    note.textContent = 'Tab order differs.';
+    diffContainer.appendChild(note);
+  }
+
+  if (!diffContainer.hasChildNodes()) {
+    diffContainer.textContent = 'Identical to the current state.';
+  }
+}
+
+/**
+ * Check this window against its folder and list each difference with a
+ * checkbox. Nothing changes until the differences are applied.
+ */
+async function showVerifyResults() {
+  const results = document.getElementById('verify-results');
+  const actions = document.getElementById('verify-actions');
+  const { changes, directions } = await callBackground('verifyWindow', currentWindowId);
+
+  results.textContent = '';
+  results.classList.remove('hidden');
+  actions.classList.toggle('hidden', changes.length === 0);
+
+  // The sync mode may not allow changing one side
+  document.getElementById('repair-folder-btn').disabled = !directions.includes('folder');
+  document.getElementById('repair-window-btn').disabled = !directions.includes('window');
+
+  if (changes.length === 0) {
+    results.textContent = 'This window and its folder match.';
+    return;
+  }
+
+  for (const kind in DIFF_CHANGE_LABELS) {
+    const kindChanges = changes.filter(change => change.kind === kind);
+    if (kindChanges.length === 0) continue;
+
+    const heading = document.createElement('div');
+    heading.textContent = `${DIFF_CHANGE_LABELS[kind]} (${kindChanges.length})`;
+    const list = document.createElement('ul');
+
+    for (const change of kindChanges) {
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.value = change.key;
+      checkbox.checked = true;
+
+      const title = document.createElement('div');
+      title.textContent = change.title;
+      const detail = document.createElement('div');
+      detail.className = 'verify-detail';
+      detail.textContent = change.detail;
+
+      const text = document.createElement('span');
+      text.className = 'verify-change';
+      text.title = change.detail;
+      text.append(title, detail);
+
+      const label = document.createElement('label');
+      label.append(checkbox, text);
+      const item = document.createElement('li');
+      item.appendChild(label);
+      list.appendChild(item);
+    }
+
+    results.append(heading, list);
+  }
+}
+
+/**
+ * Apply the checked differences to the folder or the window, then check again
+ */
+async function applyVerifyResults(direction) {
+  const checkboxes = Array.from(document.querySelectorAll('#verify-results input[type="checkbox"]'));
+  const keys = checkboxes.filter(checkbox => checkbox.checked).map(checkbox => checkbox.value);
+  if (keys.length === 0) {
+    alert('Please select the differences to apply');
+    return;
+  }
+
+  try {
+    // With everything selected, the background runs a full sync in that direction
+    await callBackground('repairWindow', currentWindowId, direction, keys.length === checkboxes.length ? null : keys);
+    await showVerifyResults();
+    await loadTrash();
+  } catch (error) {
+    console.error('Error applying differences:', error);
+    alert('Failed to apply differences: ' + error.message);
+  }
+}
+
+/**
+ * Show the trash journal, one block per sync batch
+ */
+async function loadTrash() {
+  const section = document.getElementById('trash-section');
+  const container = document.getElementById('trash-list');
+  const trash = await callBackground('getTrash');
+
+  container.textContent = '';
+  section.classList.toggle('hidden', trash.length === 0);
+
+  // Group entries by batch, keeping newest first
+  const batches = new Map();
+  for (const entry of trash) {
+    if (!batches.has(entry.batchId)) {
+      batches.set(entry.batchId, []);
+    }
+    batches.get(entry.batchId).push(entry);
+  }
+
+  const restore = async (restoreFn) => {
+    try {
+      await restoreFn();
+      await loadTrash();
+    } catch (error) {
+      console.error('Error restoring from trash:', error);
+      alert('Failed to restore: ' + error.message);
+    }
+  };
+
+  for (const [batchId, entries] of batches) {
+    const first = entries[0];
+    const noun = first.kind === 'tab' ? 'tab' : 'bookmark';
+
+    const batch = document.createElement('div');
+    batch.className = 'trash-batch';
+
+    const header = document.createElement('div');
+    header.className = 'trash-batch-header';
+    const summary = document.createElement('span');
+    summary.textContent = `${entries.length} ${noun}${entries.length === 1 ? '' : 's'} from ${first.folderTitle} · ${formatRelativeTime(first.removedAt)}`;
+    header.appendChild(summary);
+
+    if (entries.length > 1) {
+      const restoreAllBtn = document.createElement('button');
+      restoreAllBtn.className = 'btn btn-secondary btn-small';
+      restoreAllBtn.textContent = 'Restore all';
+      restoreAllBtn.addEventListener('click', () => restore(() => callBackground('restoreTrashBatch', batchId)));
+      header.appendChild(restoreAllBtn);
+    }
+
+    const list = document.createElement('ul');
+    list.className = 'trash-list';
+    for (const entry of entries) {
+      const item = document.createElement('li');
+      item.className = 'trash-item';
+
+      const title = document.createElement('span');
+      title.className = 'trash-title';
+      title.textContent = (entry.pinned ? '📌 ' : '') + (entry.title || entry.url);
+      title.title = entry.url;
+
+      const restoreBtn = document.createElement('button');
+      restoreBtn.className = 'btn btn-secondary btn-small';
+      restoreBtn.textContent = 'Restore';
+      restoreBtn.addEventListener('click', () => restore(() => callBackground('restoreTrashEntry', entry.id)));
+
+      item.append(title, restoreBtn);
+      list.appendChild(item);
+    }
+
+    batch.append(header, list);
+    container.appendChild(batch);
+  }
+}
+
+/**
+ * Get the tabs "Split" would move: the selected (highlighted) tabs, or the tabs
+ * between two positions, counted from 1
+ */
+async function getSplitTabs() {
+  if (document.getElementById('split-scope-select').value === 'selected') {
+    return browser.tabs.query({ windowId: currentWindowId, highlighted: true });
+  }
+
+  const from = parseInt(document.getElementById('split-from-input').value);
+  const to = parseInt(document.getElementById('split-to-input').value);
+  if (!from || !to || from > to) return [];
+
+  const tabs = await browser.tabs.query({ windowId: currentWindowId });
+  return tabs.filter(tab => tab.index >= from - 1 && tab.index <= to - 1);
+}
+
+/**
+ * Show how many tabs "Split" would move, and allow it if that's some but not all
+ */
+async function updateSplitSummary() {
+  const splitTabs = await getSplitTabs();
+  const tabs = await browser.tabs.query({ windowId: currentWindowId });
+  const summary = document.getElementById('split-summary');
+
+  if (splitTabs.length === 0) {
+    summary.textContent = 'No tabs chosen.';
+  } else if (splitTabs.length === tabs.length) {
+    summary.textContent = 'At least one tab has to stay in this window.';
+  } else {
+    summary.textContent = `${splitTabs.length} of ${tabs.length} tab${tabs.length === 1 ? '' : 's'} will move to a new window.`;
+  }
+
+  const hasName = document.getElementById('split-name-input').value.trim() !== '';
+  document.getElementById('split-btn').disabled = !hasName || splitTabs.length === 0 || splitTabs.length === tabs.length;
+}
+
+/**
+ * Build a folder picker in a container: a search box that fuzzily matches
+ * every bookmark folder by its path, over a list to choose from with the mouse
+ * or arrow keys and Enter. onChange gets the chosen folder, or null once the
+ * search is edited again.
+ */
+function createFolderPicker(container, onChange) {
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.placeholder = 'Search bookmark folders...';
+  input.setAttribute('role', 'combobox');
+  input.setAttribute('aria-expanded', 'false');
+
+  const list = document.createElement('ul');
+  list.id = `${container.id}-list`;
+  list.className = 'folder-picker-list hidden';
+  list.setAttribute('role', 'listbox');
+  input.setAttribute('aria-controls', list.id);
+
+  container.append(input, list);
+
+  let folders = [];
+  let activeIndex = -1;
+  let selected = null;
+  let searchId = 0;
+
+  const setActive = (index) => {
+    const items = list.querySelectorAll('.folder-picker-item');
+    if (items[activeIndex]) {
+      items[activeIndex].classList.remove('active');
+      items[activeIndex].setAttribute('aria-selected', 'false');
+    }
+    activeIndex = index;
+    if (items[index]) {
+      items[index].classList.add('active');
+      items[index].setAttribute('aria-selected', 'true');
+      items[index].scrollIntoView({ block: 'nearest' });
+      input.setAttribute('aria-activedescendant', items[index].id);
+    } else {
+      input.removeAttribute('aria-activedescendant');
+    }
+  };
+
+  const close = () => {
+    list.classList.add('hidden');
+    input.setAttribute('aria-expanded', 'false');
+    input.removeAttribute('aria-activedescendant');
+  };
+
+  const choose = (folder) => {
+    selected = folder;
+    input.value = folder.title;
+    input.title = folder.path;
+    close();
+    onChange(folder);
+  };
+
+  const render = () => {
+    list.textContent = '';
+    activeIndex = -1;
+
+    if (folders.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'folder-picker-empty';
+      empty.textContent = 'No matching folders';
+      list.appendChild(empty);
+      return;
+    }
+
+    folders.forEach((folder, index) => {
+      const item = document.createElement('li');
+      item.id = `${list.id}-${index}`;
+      item.className = 'folder-picker-item';
+      item.setAttribute('role', 'option');
+      item.setAttribute('aria-selected', 'false');
+
+      const title = document.createElement('div');
+      title.className = 'folder-picker-title';
+      title.textContent = folder.title;
+      item.appendChild(title);
+
+      // The path tells apart folders that share a title
+      if (folder.path !== folder.title) {
+        const path = document.createElement('div');
+        path.className = 'folder-picker-path';
+        path.textContent = folder.path;
+        item.appendChild(path);
+      }
+
+      const meta = document.createElement('div');
+      meta.className = 'folder-picker-meta';
+      const parts = [`${folder.tabCount} tab${folder.tabCount === 1 ? '' : 's'}`];
+      if (folder.lastUsed) {
+        parts.push(`used ${formatRelativeTime(folder.lastUsed)}`);
+      }
+      meta.textContent = parts.join(' · ');
+      if (folder.windowId !== null) {
+        const open = document.createElement('span');
+        open.className = 'folder-picker-open';
+        open.textContent = folder.windowId === currentWindowId ? ' · open here' : ' · open';
+        meta.appendChild(open);
+      }
+      item.appendChild(meta);
+
+      // mousedown fires before the search box's blur would close the list
+      item.addEventListener('mousedown', (e) => {
+        e.preventDefault();
+        choose(folder);
+      });
+      item.addEventListener('mousemove', () => {
+        if (activeIndex !== index) setActive(index);
+      });
+
+      list.appendChild(item);
+    });
+
+    setActive(0);
+  };
+
+  const search = async () => {
+    const id = ++searchId;
+    const results = await callBackground('searchFolders', input.value);
+
+    // The search was edited again while the background answered
+    if (id !== searchId) return;
+
+    folders = results.slice(0, MAX_PICKER_RESULTS);
+    render();
+  };
+
+  const open = () => {
+    list.classList.remove('hidden');
+    input.setAttribute('aria-expanded', 'true');
+    search().catch(error => console.error('Error searching folders:', error));
+  };
+
+  input.addEventListener('focus', () => {
+    // A chosen folder's title is replaced by typing, or kept by leaving
+    if (selected) input.select();
+    open();
+  });
+
+  input.addEventListener('blur', () => {
+    close();
+    if (selected) input.value = selected.title;
+  });
+
+  input.addEventListener('input', () => {
+    if (selected) {
+      selected = null;
+      input.title = '';
+      onChange(null);
+    }
+    open();
+  });
+
+  input.addEventListener('keydown', (e) => {
+    const isOpen = !list.classList.contains('hidden');
+
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      if (!isOpen) {
+        open();
+      } else if (folders.length > 0) {
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        setActive(Math.min(Math.max(activeIndex + step, 0), folders.length - 1));
+      }
+    } else if (e.key === 'Enter' && isOpen && folders[activeIndex]) {
+      e.preventDefault();
+      choose(folders[activeIndex]);
+    } else if (e.key === 'Escape' && isOpen) {
+      // Close the list rather than the popup
+      e.preventDefault();
+      close();
+    }
+  });
+
+  return {
+    getSelected: () => selected
+  };
 }
 
 /**
@@ -138,7 +791,7 @@ function setupEventListeners() {
     }
 
     try {
-      await backgroundPage.createFolderForWindow(currentWindowId, folderName);
+      await callBackground('createFolderForWindow', currentWindowId, folderName);
       await updateUI();
       document.getElementById('new-folder-name').value = '';
     } catch (error) {
@@ -149,17 +802,29 @@ function setupEventListeners() {
 
   // Sync with existing folder button
   document.getElementById('sync-folder-btn').addEventListener('click', async () => {
-    const select = document.getElementById('folder-select');
-    const folderId = select.value;
-    const folderTitle = select.options[select.selectedIndex].text.trim();
-
-    if (!folderId) {
+    const folder = syncFolderPicker.getSelected();
+    if (!folder) {
       alert('Please select a folder');
       return;
     }
+    const folderId = folder.id;
+    const folderTitle = folder.title;
+
+    // A folder can only be open in one window
+    let onConflict = 'refuse';
+    if (await callBackground('getFolderWindowId', folderId) !== null) {
+      if (!confirm(`"${folderTitle}" is already open in another window.\n\nMove this window's tabs into that window instead?`)) {
+        return;
+      }
+      onConflict = 'merge';
+    }
 
     try {
-      await backgroundPage.associateWindowWithFolder(currentWindowId, folderId, folderTitle);
+      await callBackground('associateWindowWithFolder', currentWindowId, folderId, folderTitle, onConflict);
+      if (onConflict === 'merge') {
+        window.close();
+        return;
+      }
       await updateUI();
     } catch (error) {
       console.error('Error syncing folder:', error);
@@ -167,13 +832,55 @@ function setupEventListeners() {
     }
   });
 
+  // Sync mode: which direction(s) this window's folder syncs in
+  document.getElementById('sync-mode-select').addEventListener('change', async (e) => {
+    try {
+      await callBackground('setSyncMode', currentWindowId, e.target.value);
+    } catch (error) {
+      console.error('Error changing sync mode:', error);
+      alert('Failed to change sync mode: ' + error.message);
+      await updateUI();
+    }
+  });
+
+  // Container: where this folder's tabs open
+  document.getElementById('container-select').addEventListener('change', async (e) => {
+    try {
+      await callBackground('setFolderContainer', getCurrentFolderId(), e.target.value || null);
+      await updateUI();
+    } catch (error) {
+      console.error('Error changing container:', error);
+      alert('Failed to change container: ' + error.message);
+    }
+  });
+
+  document.getElementById('reopen-container-btn').addEventListener('click', async () => {
+    try {
+      await callBackground('reopenTabsInContainer', currentWindowId);
+      await updateUI();
+    } catch (error) {
+      console.error('Error reopening tabs:', error);
+      alert('Failed to reopen tabs: ' + error.message);
+    }
+  });
+
+  // Stash button: save the window to its folder and close it
+  document.getElementById('stash-btn').addEventListener('click', async () => {
+    try {
+      await callBackground('stashWindow', currentWindowId);
+      window.close();
+    } catch (error) {
+      console.error('Error stashing window:', error);
+      alert('Failed to stash window: ' + error.message);
+    }
+  });
+
   // Unsync button
   document.getElementById('unsync-btn').addEventListener('click', async () => {
     if (confirm('Unsync this window? The bookmark folder will be kept.')) {
       try {
-        await backgroundPage.disassociateWindow(currentWindowId);
+        await callBackground('disassociateWindow', currentWindowId);
         await updateUI();
-        await loadBookmarkFolders(); // Reload folder list
       } catch (error) {
         console.error('Error unsyncing window:', error);
         alert('Failed to unsync window: ' + error.message);
@@ -181,10 +888,142 @@ function setupEventListeners() {
     }
   });
 
-  // Enable/disable sync button based on folder selection
-  document.getElementById('folder-select').addEventListener('change', (e) => {
-    const syncBtn = document.getElementById('sync-folder-btn');
-    syncBtn.disabled = !e.target.value;
+  // Snapshot controls
+  document.getElementById('snapshots-enabled').addEventListener('change', async (e) => {
+    try {
+      await callBackground('setSnapshotSettings', { enabled: e.target.checked });
+    } catch (error) {
+      console.error('Error changing snapshot settings:', error);
+      alert('Failed to change snapshot settings: ' + error.message);
+      await updateUI();
+    }
+  });
+
+  document.getElementById('take-snapshot-btn').addEventListener('click', async () => {
+    try {
+      await callBackground('recordSnapshot', getCurrentFolderId(), 'manual');
+      await loadSnapshots();
+    } catch (error) {
+      console.error('Error taking snapshot:', error);
+      alert('Failed to take snapshot: ' + error.message);
+    }
+  });
+
+  document.getElementById('snapshot-select').addEventListener('change', showSnapshotDiff);
+
+  document.getElementById('restore-snapshot-btn').addEventListener('click', async () => {
+    const snapshotId = document.getElementById('snapshot-select').value;
+    if (!confirm('Replace this window and its folder with the selected snapshot? The current state is snapshotted first.')) {
+      return;
+    }
+
+    try {
+      await callBackground('restoreSnapshotToFolder', getCurrentFolderId(), snapshotId);
+      await loadSnapshots();
+    } catch (error) {
+      console.error('Error restoring snapshot:', error);
+      alert('Failed to restore snapshot: ' + error.message);
+    }
+  });
+
+  document.getElementById('restore-snapshot-new-btn').addEventListener('click', async () => {
+    const snapshotId = document.getElementById('snapshot-select').value;
+
+    try {
+      const folder = await callBackground('restoreSnapshotAsNewFolder', getCurrentFolderId(), snapshotId);
+      alert(`Snapshot restored to the folder "${folder.title}".`);
+    } catch (error) {
+      console.error('Error restoring snapshot:', error);
+      alert('Failed to restore snapshot: ' + error.message);
+    }
+  });
+
+  // Verify and repair controls
+  document.getElementById('verify-btn').addEventListener('click', async () => {
+    try {
+      await showVerifyResults();
+    } catch (error) {
+      console.error('Error checking for differences:', error);
+      alert('Failed to check for differences: ' + error.message);
+    }
+  });
+
+  document.getElementById('repair-folder-btn').addEventListener('click', () => applyVerifyResults('folder'));
+  document.getElementById('repair-window-btn').addEventListener('click', () => applyVerifyResults('window'));
+
+  // Merge and split controls
+  document.getElementById('merge-btn').addEventListener('click', async () => {
+    const folder = mergeFolderPicker.getSelected();
+    if (!folder) return;
+    if (folder.id === currentMapping.folderId) {
+      alert('Choose a group other than this one');
+      return;
+    }
+
+    const message = `Merge "${folder.title}" into "${currentMapping.folderTitle}"?\n\n` +
+      `"${folder.title}" is deleted afterwards. Bookmarks it shares with this group are kept once; ` +
+      'the extra copies go to Recently Removed.' +
+      (folder.windowId !== null ? ' Its open tabs move into this window.' : '');
+    if (!confirm(message)) return;
+
+    try {
+      const result = await callBackground('mergeGroups', folder.id, currentMapping.folderId);
+      if (result.duplicates > 0) {
+        alert(`Merged. ${result.duplicates} duplicate bookmark${result.duplicates === 1 ? ' was' : 's were'} moved to Recently Removed.`);
+      }
+      await updateUI();
+      await loadTrash();
+    } catch (error) {
+      console.error('Error merging groups:', error);
+      alert('Failed to merge groups: ' + error.message);
+    }
+  });
+
+  document.getElementById('split-scope-select').addEventListener('change', (e) => {
+    document.getElementById('split-range').classList.toggle('hidden', e.target.value !== 'range');
+    updateSplitSummary();
+  });
+  document.getElementById('split-from-input').addEventListener('input', updateSplitSummary);
+  document.getElementById('split-to-input').addEventListener('input', updateSplitSummary);
+  document.getElementById('split-name-input').addEventListener('input', updateSplitSummary);
+
+  document.getElementById('split-btn').addEventListener('click', async () => {
+    const folderTitle = document.getElementById('split-name-input').value.trim();
+    const splitTabs = await getSplitTabs();
+
+    try {
+      await callBackground('splitGroup', currentWindowId, splitTabs.map(tab => tab.id), folderTitle);
+      // Focus is now on the new window
+      window.close();
+    } catch (error) {
+      console.error('Error splitting group:', error);
+      alert('Failed to split group: ' + error.message);
+    }
+  });
+
+  // Show every group in the sidebar
+  document.getElementById('dashboard-btn').addEventListener('click', async () => {
+    await browser.sidebarAction.open();
+    window.close();
+  });
+
+  document.getElementById('options-btn').addEventListener('click', async () => {
+    await browser.runtime.openOptionsPage();
+    window.close();
+  });
+
+  // Open the import/export page in a tab (file pickers close the popup)
+  document.getElementById('import-export-btn').addEventListener('click', async () => {
+    await browser.tabs.create({ url: browser.runtime.getURL('importexport.html') });
+    window.close();
+  });
+
+  // Empty trash button
+  document.getElementById('empty-trash-btn').addEventListener('click', async () => {
+    if (confirm('Permanently discard everything in the trash?')) {
+      await callBackground('emptyTrash');
+      await loadTrash();
+    }
   });
 
   // Allow Enter key to create folder
@@ -194,50 +1033,111 @@ function setupEventListeners() {
     }
   });
 
-  // Open folder as new window button
+  // Open folder button (new window or this window, depending on the mode)
   document.getElementById('open-folder-btn').addEventListener('click', async () => {
-    const select = document.getElementById('open-folder-select');
-    const folderId = select.value;
-    const folderTitle = select.options[select.selectedIndex].text.trim();
+    const folder = openFolderPicker.getSelected();
+    const mode = document.getElementById('open-mode-select').value;
 
-    if (!folderId) {
+    if (!folder) {
       alert('Please select a folder');
       return;
     }
+    const folderId = folder.id;
+    const folderTitle = folder.title;
 
     try {
       // Get the folder contents to check bookmark count
       const bookmarkTree = await browser.bookmarks.getSubTree(folderId);
       const bookmarks = bookmarkTree[0].children || [];
 
-      // Count only direct bookmark children (not nested folders)
-      const urlBookmarks = bookmarks.filter(b => b.url && !b.url.startsWith('about:') && !b.url.startsWith('moz-extension:'));
+      // Count direct bookmarks plus those in subfolders (opened as tab groups)
+      const groupedBookmarks = bookmarks.flatMap(b => b.url ? [b] : (b.children || [])).filter(b => b.url);
+      const syncable = await callBackground('checkSyncableUrls', groupedBookmarks.map(b => b.url), folderId);
+      const urlBookmarkCount = syncable.filter(Boolean).length;
 
       // Warn if opening many tabs
-      if (urlBookmarks.length > 20) {
+      if (urlBookmarkCount > 20) {
         const confirmed = confirm(
-          `This folder contains ${urlBookmarks.length} bookmarks. Opening this will create ${urlBookmarks.length} tabs.\n\nAre you sure you want to continue?`
+          `This folder contains ${urlBookmarkCount} bookmarks. Opening this will create ${urlBookmarkCount} tabs.\n\nAre you sure you want to continue?`
         );
         if (!confirmed) {
           return;
         }
       }
 
-      await backgroundPage.openFolderAsNewWindow(folderId, folderTitle);
-      // Close the popup after opening the new window
-      window.close();
+      if (mode === 'template-unsynced' || mode === 'template-clone') {
+        await callBackground('openTemplate', folderId, mode === 'template-clone');
+        window.close();
+        return;
+      }
+
+      // A folder that is already open is focused rather than opened twice
+      const openWindowId = await callBackground('getFolderWindowId', folderId);
+      if (openWindowId !== null && openWindowId !== currentWindowId && mode !== 'new-window') {
+        if (confirm(`"${folderTitle}" is already open in another window.\n\nSwitch to it?`)) {
+          await callBackground('openFolderAsNewWindow', folderId, folderTitle);
+          window.close();
+        }
+        return;
+      }
+
+      if (mode === 'new-window') {
+        await callBackground('openFolderAsNewWindow', folderId, folderTitle);
+        // Close the popup after opening the new window
+        window.close();
+        return;
+      }
+
+      // This window may already be synced with another folder
+      const mapping = (await callBackground('getWindowMappings'))[currentWindowId];
+      let switchFolders = false;
+      if (mapping && mapping.folderId !== folderId) {
+        switchFolders = confirm(
+          `This window is synced with "${mapping.folderTitle}".\n\nSave it and switch this window to "${folderTitle}"?`
+        );
+        if (!switchFolders) {
+          return;
+        }
+      }
+
+      if (mode === 'replace' && !mapping) {
+        const tabs = await browser.tabs.query({ windowId: currentWindowId });
+        const confirmed = confirm(
+          `This window isn't synced. Replacing its tabs will close ${tabs.length} tab${tabs.length === 1 ? '' : 's'} that aren't saved anywhere.\n\nContinue?`
+        );
+        if (!confirmed) {
+          return;
+        }
+      }
+
+      await callBackground('openFolderInWindow', currentWindowId, folderId, folderTitle, mode, switchFolders);
+      await updateUI();
     } catch (error) {
       console.error('Error opening folder:', error);
       alert('Failed to open folder: ' + error.message);
     }
   });
 
-  // Enable/disable open button based on folder selection
-  document.getElementById('open-folder-select').addEventListener('change', (e) => {
-    const openBtn = document.getElementById('open-folder-btn');
-    openBtn.disabled = !e.target.value;
+  // Mark or unmark the selected folder as a template
+  document.getElementById('mark-template-btn').addEventListener('click', async () => {
+    const folderId = openFolderPicker.getSelected().id;
+    try {
+      await callBackground('setFolderTemplate', folderId, !(await callBackground('isTemplateFolder', folderId)));
+      await updateMarkTemplateButton();
+      await loadTemplates();
+    } catch (error) {
+      console.error('Error marking template:', error);
+      alert('Failed to change template: ' + error.message);
+    }
   });
 }
 
+// Follow restore progress for this window
+browser.runtime.onMessage.addListener((message) => {
+  if (message.type === 'restoreProgress' && message.windowId === currentWindowId) {
+    showRestoreProgress(message.created < message.total ? message : null);
+  }
+});
+
 // Initialize when popup loads
 initialize();
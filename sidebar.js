@@ -0,0 +1,201 @@
+// The window this sidebar belongs to
+let currentWindowId = null;
+
+// Pending refresh, so bursts of tab and bookmark events redraw once
+let refreshTimer = null;
+
+// How long to wait for a burst of events to settle before redrawing
+const REFRESH_DELAY_MS = 300;
+
+/**
+ * Call a background function by name, through runtime messaging
+ */
+function callBackground(type, ...args) {
+  return browser.runtime.sendMessage({ type, args });
+}
+
+/**
+ * Initialize the sidebar
+ */
+async function initialize() {
+  const currentWindow = await browser.windows.getCurrent();
+  currentWindowId = currentWindow.id;
+
+  await loadGroups();
+  setupLiveUpdates();
+}
+
+/**
+ * Format a timestamp relative to now, e.g. "5 min ago"
+ */
+function formatRelativeTime(timestamp) {
+  const minutes = Math.round((Date.now() - timestamp) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes} min ago`;
+
+  const hours = Math.round(minutes / 60);
+  if (hours < 24) return `${hours} h ago`;
+
+  const days = Math.round(hours / 24);
+  return `${days} d ago`;
+}
+
+/**
+ * Create a small action button for a group row
+ */
+function createActionButton(label, className, onClick) {
+  const button = document.createElement('button');
+  button.className = `btn btn-small ${className}`;
+  button.textContent = label;
+  button.addEventListener('click', async () => {
+    button.disabled = true;
+    try {
+      await onClick();
+    } catch (error) {
+      console.error(`Error running "${label}":`, error);
+      alert(`Failed to ${label.toLowerCase()}: ` + error.message);
+    }
+    button.disabled = false;
+  });
+  return button;
+}
+
+/**
+ * Build the row for one group
+ */
+function createGroupItem(group) {
+  const isOpen = group.windowId !== null;
+
+  const item = document.createElement('li');
+  item.className = 'group-item';
+  item.classList.toggle('open', isOpen);
+  item.classList.toggle('current', group.windowId === currentWindowId);
+
+  const header = document.createElement('div');
+  header.className = 'group-header';
+
+  const state = document.createElement('span');
+  state.className = 'group-state';
+  state.textContent = '●';
+  state.title = isOpen ? 'Open' : 'Closed';
+
+  const title = document.createElement('span');
+  title.className = 'group-title';
+  title.textContent = group.title;
+  title.title = group.title;
+
+  header.append(state, title);
+
+  const details = document.createElement('div');
+  details.className = 'group-details';
+  const parts = [
+    isOpen
+      ? (group.windowId === currentWindowId ? 'Open in this window' : `Open in window ${group.windowId}`)
+      : 'Closed',
+    `${group.tabCount} tab${group.tabCount === 1 ? '' : 's'}`
+  ];
+  if (group.pinnedCount > 0) {
+    parts.push(`${group.pinnedCount} pinned`);
+  }
+  if (group.lastUsed) {
+    parts.push(`used ${formatRelativeTime(group.lastUsed)}`);
+  }
+  details.textContent = parts.join(' · ');
+
+  const actions = document.createElement('div');
+  actions.className = 'group-actions';
+
+  if (isOpen) {
+    if (group.windowId !== currentWindowId) {
+      actions.appendChild(createActionButton('Focus', 'btn-primary', async () => {
+        // Opening a folder that is already open focuses its window
+        await callBackground('openFolderAsNewWindow', group.folderId, group.title);
+      }));
+    }
+    actions.appendChild(createActionButton('Stash', 'btn-secondary', async () => {
+      await callBackground('stashWindow', group.windowId);
+    }));
+    actions.appendChild(createActionButton('Unsync', 'btn-secondary', async () => {
+      await callBackground('unsyncGroup', group.folderId);
+    }));
+  } else {
+    actions.appendChild(createActionButton('Open', 'btn-primary', async () => {
+      await callBackground('openFolderAsNewWindow', group.folderId, group.title);
+    }));
+  }
+
+  actions.appendChild(createActionButton('Rename', 'btn-secondary', async () => {
+    const newTitle = prompt('New name for this group:', group.title);
+    if (newTitle && newTitle.trim() && newTitle.trim() !== group.title) {
+      await callBackground('renameGroup', group.folderId, newTitle.trim());
+    }
+  }));
+
+  actions.appendChild(createActionButton('Delete', 'btn-secondary', async () => {
+    const message = isOpen
+      ? `Delete the folder "${group.title}" and its bookmarks? Its window stays open, unsynced.`
+      : `Delete the folder "${group.title}" and its bookmarks?`;
+    if (confirm(message)) {
+      await callBackground('deleteGroup', group.folderId);
+    }
+  }));
+
+  item.append(header, details, actions);
+  return item;
+}
+
+/**
+ * Load every known group into the list
+ */
+async function loadGroups() {
+  const groups = await callBackground('getDashboardGroups');
+
+  // Open groups first, then by last use
+  groups.sort((a, b) => (b.windowId !== null) - (a.windowId !== null) || (b.lastUsed || 0) - (a.lastUsed || 0));
+
+  const list = document.getElementById('group-list');
+  list.textContent = '';
+  for (const group of groups) {
+    list.appendChild(createGroupItem(group));
+  }
+
+  document.getElementById('empty-message').classList.toggle('hidden', groups.length > 0);
+}
+
+/**
+ * Redraw the list once a burst of events has settled
+ */
+function scheduleRefresh() {
+  clearTimeout(refreshTimer);
+  refreshTimer = setTimeout(() => {
+    loadGroups().catch(error => console.error('Error refreshing groups:', error));
+  }, REFRESH_DELAY_MS);
+}
+
+/**
+ * Keep the list current as mappings, tabs and bookmarks change
+ */
+function setupLiveUpdates() {
+  // Window mappings and last-used times changed in the background
+  browser.runtime.onMessage.addListener((message) => {
+    if (message.type === 'groupsChanged') {
+      scheduleRefresh();
+    }
+  });
+
+  // Group folders and their bookmarks
+  browser.bookmarks.onCreated.addListener(scheduleRefresh);
+  browser.bookmarks.onRemoved.addListener(scheduleRefresh);
+  browser.bookmarks.onChanged.addListener(scheduleRefresh);
+  browser.bookmarks.onMoved.addListener(scheduleRefresh);
+
+  // Tab and pinned counts of open groups
+  browser.tabs.onCreated.addListener(scheduleRefresh);
+  browser.tabs.onRemoved.addListener(scheduleRefresh);
+  browser.tabs.onAttached.addListener(scheduleRefresh);
+  browser.tabs.onDetached.addListener(scheduleRefresh);
+  browser.tabs.onUpdated.addListener(scheduleRefresh, { properties: ['pinned'] });
+}
+
+// Initialize when the sidebar loads
+initialize();